@@ -1,30 +1,82 @@
-const { Events } = require("discord.js");
+const { Events, AuditLogEvent } = require("discord.js");
 const { env } = require("process");
+const crypto = require("crypto");
 const { setGlobalDispatcher, Agent, Pool } = require("undici");
 const {
-  createDiscordClient,
   isForumThread,
   processMessageContent,
   getSyncedIssueInfo,
   formatDiscordAuthorComment,
+  splitDiscordAuthorComment,
+  setDiscordReactionCount,
+  parseBridgeMarker,
+  setBridgeMarker,
   createSyncEmbed,
+  createSyncStatusFields,
+  getGitHubReactionContent,
   getDefaultRepo,
-  SYNC_LABEL,
-  REPO_TAG_EMOJI,
+  getSyncLabel,
+  getRepoTagEmoji,
+  getTagLimits,
+  getLabelForTagName,
+  getLabelsForTagName,
   isSyncLabel,
   isRepoSelectorTag,
   isClosedTag,
-  sleep,
+  isReleaseTag,
   getOrCreateGitHubLabel,
   getOrCreateForumTag,
   getOrCreateClosedForumTag,
+  applyThreadLabelTags,
   setThreadCacheEntry,
+  deleteThreadCacheEntry,
+  getThreadCacheEntriesByThread,
+  getThreadLifecyclePolicy,
+  markThreadUnsynced,
+  hasSyncLabel,
+  getMessageLink,
+  setMessageLink,
+  deleteMessageLink,
+  getCommentMessageLinks,
+  getDeletedMessagePolicy,
+  markIssueSynced,
   logEvent,
   formatError,
 } = require("./utils.js");
-const { getWebhooks, getWebhookMiddleware, getInstallationOctokit } = require("./githubApp.js");
+const {
+  getWebhooks,
+  getWebhookMiddleware,
+  getInstallationOctokit,
+  loadAppIdentity,
+  getAppIdentity,
+  isBridgeAuthored,
+} = require("./githubApp.js");
+const { getDiscordClient, loginDiscordClient, waitForDiscordClient } = require("./discordClient.js");
+const { registerJobHandler, enqueueJob, startJobQueue } = require("./jobQueue.js");
+const { acquireLocks, getIssueLockKey, withThreadLock, withIssueLock } = require("./syncLock.js");
+const { getForumRoute, isRepoAllowed } = require("./forumRoutes.js");
+const { loadConfig, watchConfig } = require("./config.js");
+const { recordTagUse, takeBridgeTagChanges } = require("./tagBudget.js");
+const { checkDiscordPostFilter } = require("./syncFilters.js");
+const { checkRepositoryExposure, getConfidentialLabel, isConfidentialLabel } = require("./safety.js");
+const {
+  refreshInstallations,
+  noteRepositoryInstallation,
+  invalidateInstallations,
+  getRepoOctokit,
+  getRepoMapByName,
+} = require("./installationRegistry.js");
+const {
+  getDeliveryJobType,
+  acceptDelivery,
+  markDeliveryProcessed,
+  replayDelivery,
+  purgeOldDeliveries,
+} = require("./webhookDeliveries.js");
 const {
   handleIssueComment,
+  handleIssueCommentEdited,
+  handleIssueCommentDeleted,
   handleIssueOpened,
   handleIssueClosed,
   handleIssueReopened,
@@ -33,6 +85,15 @@ const {
   handleIssueUnlabeled,
   handleIssueMilestoned,
   handleIssueAssigned,
+  handleIssueUnassigned,
+  handleIssueDemilestoned,
+  handleIssueLocked,
+  handleIssueUnlocked,
+  handleIssueTransferred,
+  handleIssueDeleted,
+  handlePullRequest,
+  handlePush,
+  handleReleasePublished,
 } = require("./payloadProcessor.js");
 
 setGlobalDispatcher(
@@ -45,80 +106,55 @@ setGlobalDispatcher(
 const express = require("express");
 const expressApp = express();
 
-expressApp.use("/healthcheck", require("express-healthcheck")());
+expressApp.use(
+  "/healthcheck",
+  require("express-healthcheck")({
+    healthy: () => {
+      const identity = getAppIdentity();
+      return {
+        uptime: process.uptime(),
+        githubApp: identity && { appId: identity.appId, slug: identity.slug, botLogin: identity.botLogin },
+      };
+    },
+  })
+);
 
 const PORT = env.PORT || 8080;
 
-// Store installation ID from webhooks for Discord → GitHub operations
-let lastInstallationId = env.GITHUB_INSTALLATION_ID || null;
-
-async function getOctokit() {
-  if (!lastInstallationId) {
-    throw new Error("No installation ID available. Webhook must be received first or set GITHUB_INSTALLATION_ID env var.");
+// Admin endpoints take `Authorization: Bearer $ADMIN_TOKEN` and stay
+// unavailable while ADMIN_TOKEN is unset
+function requireAdminToken(req, res, next) {
+  if (!env.ADMIN_TOKEN) {
+    res.status(404).end();
+    return;
   }
-  return getInstallationOctokit(lastInstallationId);
-}
-
-const INSTALLATION_REPO_TTL_MS = 5 * 60 * 1000;
-const installationRepoCache = new Map();
-
 
-async function listInstallationRepos(octokit) {
-  const repos = [];
-  let page = 1;
-  const perPage = 100;
-
-  while (true) {
-    const { data } = await octokit.request("GET /installation/repositories", {
-      per_page: perPage,
-      page,
-    });
-    const pageRepos = data.repositories || [];
-    repos.push(...pageRepos);
-    if (pageRepos.length < perPage) break;
-    if (data.total_count && repos.length >= data.total_count) break;
-    page += 1;
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token || !crypto.timingSafeEqual(digest(token), digest(env.ADMIN_TOKEN))) {
+    logEvent("warn", "admin.unauthorized", { path: req.path, ip: req.ip });
+    res.status(401).json({ error: "unauthorized" });
+    return;
   }
-
-  return repos;
+  next();
 }
 
-async function getInstallationRepoMap(octokit, installationId) {
-  if (!installationId) {
-    return { repoMap: new Map(), repoCount: 0, source: "none" };
+expressApp.post("/admin/deliveries/:deliveryId/replay", requireAdminToken, (req, res) => {
+  const { error, jobId } = replayDelivery(req.params.deliveryId);
+  if (error === "missing") {
+    res.status(404).json({ error: "unknown delivery" });
+    return;
   }
-
-  const cached = installationRepoCache.get(installationId);
-  if (cached && cached.expiresAt > Date.now()) {
-    return { repoMap: cached.repoMap, repoCount: cached.repoCount, source: "cache" };
+  if (error === "in_flight") {
+    res.status(409).json({ error: "delivery job still queued or running", jobId });
+    return;
   }
+  res.status(202).json({ deliveryId: req.params.deliveryId, jobId });
+});
 
-  try {
-    const repos = await listInstallationRepos(octokit);
-    const repoMap = new Map();
-    for (const repo of repos) {
-      const key = repo.name.toLowerCase();
-      if (!repoMap.has(key)) {
-        repoMap.set(key, repo);
-      }
-    }
-    installationRepoCache.set(installationId, {
-      repoMap,
-      repoCount: repos.length,
-      expiresAt: Date.now() + INSTALLATION_REPO_TTL_MS,
-    });
-    logEvent("info", "github.installation.repos.refresh", {
-      installationId,
-      repoCount: repos.length,
-    });
-    return { repoMap, repoCount: repos.length, source: "refresh" };
-  } catch (err) {
-    logEvent("error", "github.installation.repos.error", {
-      installationId,
-      error: formatError(err),
-    });
-    return { repoMap: new Map(), repoCount: 0, source: "error" };
-  }
+// Discord → GitHub writes use the installation that owns the target repository
+function getOctokit(owner, repo) {
+  return getRepoOctokit(owner, repo);
 }
 
 function resolveRepoFromTags(appliedTags, availableTags, repoMap) {
@@ -135,32 +171,93 @@ function resolveRepoFromTags(appliedTags, availableTags, repoMap) {
   return null;
 }
 
+// Deliveries from repositories that may not reach Discord are dropped whole,
+// as is anything about a confidential issue except the labelling that
+// retracts its threads
+function getSafetyBlock(eventName, payload) {
+  const exposure = checkRepositoryExposure(payload.repository);
+  if (exposure) return exposure;
+
+  const confidentialLabel = payload.issue && getConfidentialLabel(payload.issue);
+  const isRetraction = eventName === "issues.labeled" && isConfidentialLabel(payload.label?.name);
+  if (confidentialLabel && !isRetraction) return `issue is labelled ${confidentialLabel}`;
+  return null;
+}
+
 // Initialize GitHub App and register webhook handlers
 async function setupWebhooks() {
   const webhooks = await getWebhooks();
 
-  // Wrap handlers to inject octokit from installation ID
-  const wrapHandler = (handler, eventName) => async (context) => {
-    const installationId = context.payload.installation?.id || null;
-    if (installationId) {
-      lastInstallationId = installationId;
-    }
-
-    logEvent("info", "github.webhook.received", {
-      event: eventName,
-      repo: context.payload.repository?.full_name,
-      installationId,
+  // Wrap handlers so each delivery is persisted as a job; the job later runs
+  // the handler with an octokit for the delivery's installation
+  const wrapHandler = (handler, eventName) => {
+    registerJobHandler(getDeliveryJobType(eventName), async ({ deliveryId, payload, installationId }) => {
+      const octokit = installationId ? await getInstallationOctokit(installationId) : null;
+      if (!getAppIdentity()) {
+        await loadAppIdentity().catch((err) => {
+          logEvent("warn", "github.app.identity.error", { error: formatError(err) });
+        });
+      }
+      const blockedReason = getSafetyBlock(eventName, payload);
+      if (blockedReason) {
+        logEvent("info", "github.webhook.blocked", {
+          webhookEvent: eventName,
+          deliveryId,
+          repo: payload.repository?.full_name,
+          reason: blockedReason,
+        });
+        markDeliveryProcessed(deliveryId);
+        return;
+      }
+      const run = () => handler({ octokit, payload, installationId, deliveryId, event: eventName });
+
+      // Issue events hold the issue (and its thread) so Discord edits to the
+      // same thread cannot interleave with them
+      if (payload.issue && payload.repository) {
+        await withIssueLock(
+          payload.repository.owner.login,
+          payload.repository.name,
+          payload.issue.number,
+          run
+        );
+      } else {
+        await run();
+      }
+      markDeliveryProcessed(deliveryId);
     });
 
-    if (!installationId) {
-      logEvent("warn", "github.webhook.missing_installation", {
+    return async (context) => {
+      const installationId = context.payload.installation?.id || null;
+      noteRepositoryInstallation(installationId, context.payload.repository);
+
+      logEvent("info", "github.webhook.received", {
         event: eventName,
+        deliveryId: context.id,
         repo: context.payload.repository?.full_name,
+        installationId,
       });
-    }
 
-    const octokit = installationId ? await getInstallationOctokit(installationId) : null;
-    await handler({ octokit, payload: context.payload, installationId, event: eventName });
+      if (!installationId) {
+        logEvent("warn", "github.webhook.missing_installation", {
+          event: eventName,
+          repo: context.payload.repository?.full_name,
+        });
+      }
+
+      const jobId = acceptDelivery({
+        deliveryId: context.id,
+        event: eventName,
+        installationId,
+        payload: context.payload,
+      });
+      if (!jobId) {
+        logEvent("info", "github.webhook.duplicate", {
+          webhookEvent: eventName,
+          deliveryId: context.id,
+          repo: context.payload.repository?.full_name,
+        });
+      }
+    };
   };
 
   // Issue events
@@ -172,9 +269,33 @@ async function setupWebhooks() {
   webhooks.on("issues.unlabeled", wrapHandler(handleIssueUnlabeled, "issues.unlabeled"));
   webhooks.on("issues.milestoned", wrapHandler(handleIssueMilestoned, "issues.milestoned"));
   webhooks.on("issues.assigned", wrapHandler(handleIssueAssigned, "issues.assigned"));
+  webhooks.on("issues.unassigned", wrapHandler(handleIssueUnassigned, "issues.unassigned"));
+  webhooks.on("issues.demilestoned", wrapHandler(handleIssueDemilestoned, "issues.demilestoned"));
+  webhooks.on("issues.locked", wrapHandler(handleIssueLocked, "issues.locked"));
+  webhooks.on("issues.unlocked", wrapHandler(handleIssueUnlocked, "issues.unlocked"));
+  webhooks.on("issues.transferred", wrapHandler(handleIssueTransferred, "issues.transferred"));
+  webhooks.on("issues.deleted", wrapHandler(handleIssueDeleted, "issues.deleted"));
+
+  // Pull request events
+  webhooks.on("pull_request.opened", wrapHandler(handlePullRequest, "pull_request.opened"));
+  webhooks.on("pull_request.ready_for_review", wrapHandler(handlePullRequest, "pull_request.ready_for_review"));
+  webhooks.on("pull_request.closed", wrapHandler(handlePullRequest, "pull_request.closed"));
+
+  // Push events
+  webhooks.on("push", wrapHandler(handlePush, "push"));
+
+  // Release events
+  webhooks.on("release.published", wrapHandler(handleReleasePublished, "release.published"));
 
   // Comment events
   webhooks.on("issue_comment.created", wrapHandler(handleIssueComment, "issue_comment.created"));
+  webhooks.on("issue_comment.edited", wrapHandler(handleIssueCommentEdited, "issue_comment.edited"));
+  webhooks.on("issue_comment.deleted", wrapHandler(handleIssueCommentDeleted, "issue_comment.deleted"));
+
+  // Installation and repository access changes invalidate the repo → installation map
+  webhooks.on(["installation", "installation_repositories"], () => {
+    invalidateInstallations();
+  });
 
   // Error handling
   webhooks.onError((error) => {
@@ -189,28 +310,35 @@ async function setupWebhooks() {
 }
 
 async function startServer() {
+  try {
+    await refreshInstallations();
+  } catch (err) {
+    logEvent("error", "github.installation.registry.error", { error: formatError(err) });
+  }
+
+  // Loop detection falls back to the hidden marker until the identity loads
+  try {
+    await loadAppIdentity();
+  } catch (err) {
+    logEvent("warn", "github.app.identity.error", { error: formatError(err) });
+  }
+
   await setupWebhooks();
+  purgeOldDeliveries();
+  setInterval(purgeOldDeliveries, 60 * 60 * 1000).unref();
   expressApp.listen(PORT, () => {
-    logEvent("info", "server.start", { port: PORT });
+    logEvent("info", "server.start", { port: PORT, githubApp: getAppIdentity()?.botLogin ?? null });
   });
 }
 
-startServer().catch((err) => {
-  logEvent("error", "server.start.error", { error: formatError(err) });
-  process.exit(1);
-});
-
-function extractDiscordUsername(commentBody) {
-  const match = commentBody.match(/\*\*(.+?)\*\* on Discord says\]/);
-  return match ? match[1] : null;
-}
-
 async function handleNewMessage(message) {
   try {
     if (!isForumThread(message.channel)) return;
 
     const starterMessage = await message.channel.fetchStarterMessage();
     if (!starterMessage || message.id === starterMessage.id || message.author.bot) return;
+    // Already bridged by an earlier attempt of this job
+    if (await getMessageLink(message.id)) return;
 
     const syncedIssues = await getSyncedIssueInfo(message.channel);
     if (syncedIssues.length === 0) return;
@@ -219,26 +347,23 @@ async function handleNewMessage(message) {
       threadId: message.channel.id,
       messageId: message.id,
       author: message.author.username,
-      installationId: lastInstallationId,
     });
 
-    const octokit = await getOctokit();
-    const defaultRepo = getDefaultRepo();
+    const defaultRepo = getDefaultRepo(message.channel.parentId);
     const newContent = processMessageContent(message);
 
     // Add repo tags for any synced repos that aren't tagged yet
-    const forum = await message.client.channels.fetch(env.DISCORD_INPUT_FORUM_CHANNEL_ID);
+    const forum = await message.client.channels.fetch(message.channel.parentId);
     const thread = message.channel;
     const currentTags = thread.appliedTags || [];
     const reposToTag = [...new Set(syncedIssues.map((i) => i.repo).filter(Boolean))];
 
     for (const repoName of reposToTag) {
-      const repoTag = await getOrCreateForumTag(forum, repoName, REPO_TAG_EMOJI);
-      if (repoTag && !currentTags.includes(repoTag.id) && currentTags.length < 5) {
+      const repoTag = await getOrCreateForumTag(forum, repoName, getRepoTagEmoji());
+      if (repoTag && !currentTags.includes(repoTag.id) && currentTags.length < getTagLimits().perThread) {
         logEvent("info", "discord.thread.repo_tag.add", {
           threadId: thread.id,
           repo: repoName,
-          installationId: lastInstallationId,
         });
         currentTags.push(repoTag.id);
         await thread.setAppliedTags(currentTags);
@@ -249,6 +374,7 @@ async function handleNewMessage(message) {
       // Use owner/repo from pinned message, fall back to env
       const owner = issueOwner || defaultRepo.owner;
       const repo = repoName || defaultRepo.repo;
+      const octokit = await getOctokit(owner, repo);
 
       const { data: issue } = await octokit.request("GET /repos/{owner}/{repo}/issues/{issue_number}", {
         owner,
@@ -260,7 +386,6 @@ async function handleNewMessage(message) {
         repo: `${owner}/${repo}`,
         issueNumber,
         comments: issue.comments,
-        installationId: lastInstallationId,
       });
 
       let lastComment = null;
@@ -276,72 +401,477 @@ async function handleNewMessage(message) {
         lastComment = comments.at(-1);
       }
 
-      const lastCommentAuthor = lastComment ? extractDiscordUsername(lastComment.body) : null;
+      // Append to the last comment only when the bridge wrote it for this same Discord user
+      const lastMarker = lastComment && isBridgeAuthored(lastComment) ? parseBridgeMarker(lastComment.body) : null;
       logEvent("info", "github.issue.comment.last_author", {
         repo: `${owner}/${repo}`,
         issueNumber,
-        lastAuthor: lastCommentAuthor,
-        currentAuthor: message.author.username,
-        installationId: lastInstallationId,
+        lastAuthorId: lastMarker?.discordUserId ?? null,
+        currentAuthorId: message.author.id,
       });
 
-      if (lastComment && lastCommentAuthor === message.author.username) {
+      let commentId;
+      if (lastComment && lastMarker?.discordUserId === message.author.id) {
+        commentId = lastComment.id;
         logEvent("info", "github.issue.comment.append", {
           repo: `${owner}/${repo}`,
           issueNumber,
           commentId: lastComment.id,
           author: message.author.username,
-          installationId: lastInstallationId,
         });
         await octokit.request("PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}", {
           owner,
           repo,
           comment_id: lastComment.id,
-          body: `${lastComment.body}\n${newContent}`,
+          body: setBridgeMarker(`${lastComment.body}\n${newContent}`, {
+            messageIds: [...(lastMarker.messageIds || []), message.id],
+          }),
         });
       } else {
         logEvent("info", "github.issue.comment.create", {
           repo: `${owner}/${repo}`,
           issueNumber,
           author: message.author.username,
-          installationId: lastInstallationId,
         });
-        await octokit.request("POST /repos/{owner}/{repo}/issues/{issue_number}/comments", {
+        const { data: comment } = await octokit.request(
+          "POST /repos/{owner}/{repo}/issues/{issue_number}/comments",
+          {
+            owner,
+            repo,
+            issue_number: issueNumber,
+            body: formatDiscordAuthorComment(message.author, message.url, newContent, [message.id]),
+          }
+        );
+        commentId = comment.id;
+      }
+
+      await setMessageLink(message.id, {
+        threadId: message.channel.id,
+        owner,
+        repo,
+        issueNumber,
+        commentId,
+        content: newContent,
+        createdTimestamp: message.createdTimestamp,
+      });
+      await markIssueSynced(owner, repo, issueNumber, "discord");
+    }
+  } catch (err) {
+    logEvent("error", "discord.message.error", {
+      error: formatError(err),
+    });
+    throw err;
+  }
+}
+
+const DELETED_MESSAGE_MARKER = "_message deleted on Discord_";
+
+// Rewrites the part of a bridged comment that came from one Discord message.
+// Comments are built as `header\nsegment\nsegment...`, so when the linked
+// segments still form the tail of the body they are rebuilt in place;
+// otherwise (comment edited on GitHub) we fall back to replacing the old text.
+// A null newContent drops the segment.
+function rewriteCommentSegment(body, links, messageId, newContent) {
+  const tail = `\n${links.map((link) => link.content).join("\n")}`;
+  if (body.endsWith(tail)) {
+    const header = body.slice(0, body.length - tail.length);
+    const segments = links
+      .map((link) => (link.messageId === messageId ? newContent : link.content))
+      .filter((segment) => segment !== null);
+    return segments.length ? `${header}\n${segments.join("\n")}` : header;
+  }
+
+  const target = links.find((link) => link.messageId === messageId);
+  const index = target ? body.lastIndexOf(`\n${target.content}`) : -1;
+  if (index === -1) return null;
+  const replacement = newContent === null ? "" : `\n${newContent}`;
+  return `${body.slice(0, index)}${replacement}${body.slice(index + 1 + target.content.length)}`;
+}
+
+async function updateCommentSegment(link, messageId, newContent) {
+  const octokit = await getOctokit(link.owner, link.repo);
+  const logMeta = {
+    repo: `${link.owner}/${link.repo}`,
+    issueNumber: link.issueNumber,
+    commentId: link.commentId,
+    messageId,
+  };
+
+  const { data: comment } = await octokit.request(
+    "GET /repos/{owner}/{repo}/issues/comments/{comment_id}",
+    {
+      owner: link.owner,
+      repo: link.repo,
+      comment_id: link.commentId,
+    }
+  );
+
+  const links = await getCommentMessageLinks(link.commentId);
+  const rewritten = rewriteCommentSegment(comment.body, links, messageId, newContent);
+  if (rewritten === null) {
+    logEvent("warn", "github.issue.comment.segment_missing", logMeta);
+    return;
+  }
+  const body = setBridgeMarker(rewritten, {
+    messageIds: links
+      .map((segment) => segment.messageId)
+      .filter((id) => newContent !== null || id !== messageId),
+  });
+
+  // Only the author header line is left once the last segment is gone
+  if (newContent === null && !body.includes("\n")) {
+    await octokit.request("DELETE /repos/{owner}/{repo}/issues/comments/{comment_id}", {
+      owner: link.owner,
+      repo: link.repo,
+      comment_id: link.commentId,
+    });
+    logEvent("info", "github.issue.comment.delete", logMeta);
+    return;
+  }
+
+  await octokit.request("PATCH /repos/{owner}/{repo}/issues/comments/{comment_id}", {
+    owner: link.owner,
+    repo: link.repo,
+    comment_id: link.commentId,
+    body,
+  });
+  logEvent("info", "github.issue.comment.segment_update", { ...logMeta, removed: newContent === null });
+}
+
+// Rewrites the issue body after the thread's starter message was edited. Only
+// the content under the author header changes; the issues.edited webhook this
+// triggers updates the starter embed and never edits the starter message itself.
+async function handleStarterMessageUpdate(message) {
+  const syncedIssues = await getSyncedIssueInfo(message.channel);
+  if (syncedIssues.length === 0) return;
+
+  const defaultRepo = getDefaultRepo(message.channel.parentId);
+  const newContent = processMessageContent(message);
+
+  for (const { number: issueNumber, owner: issueOwner, repo: repoName } of syncedIssues) {
+    const owner = issueOwner || defaultRepo.owner;
+    const repo = repoName || defaultRepo.repo;
+    const octokit = await getOctokit(owner, repo);
+
+    const { data: issue } = await octokit.request("GET /repos/{owner}/{repo}/issues/{issue_number}", {
+      owner,
+      repo,
+      issue_number: issueNumber,
+    });
+
+    const { header } = splitDiscordAuthorComment(issue.body);
+    const body = header
+      ? setBridgeMarker(`${header}\n${newContent}`, {
+          discordUserId: message.author.id,
+          messageIds: [message.id],
+        })
+      : formatDiscordAuthorComment(message.author, message.url, newContent, [message.id]);
+    if (body === issue.body) continue;
+
+    logEvent("info", "github.issue.body.update", {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      threadId: message.channel.id,
+    });
+    await octokit.request("PATCH /repos/{owner}/{repo}/issues/{issue_number}", {
+      owner,
+      repo,
+      issue_number: issueNumber,
+      body,
+    });
+  }
+}
+
+async function handleMessageUpdate(oldMessage, newMessage) {
+  try {
+    const message = newMessage.partial ? await newMessage.fetch() : newMessage;
+    if (!isForumThread(message.channel) || message.author.bot) return;
+
+    // A forum post's starter message shares its ID with the thread
+    if (message.id === message.channel.id) {
+      await handleStarterMessageUpdate(message);
+      return;
+    }
+
+    const link = await getMessageLink(message.id);
+    if (!link) return;
+
+    const newContent = processMessageContent(message);
+    // Embed unfurls also fire MessageUpdate without any content change
+    if (newContent === link.content) return;
+
+    logEvent("info", "discord.message.edited", {
+      threadId: message.channel.id,
+      messageId: message.id,
+      repo: `${link.owner}/${link.repo}`,
+      issueNumber: link.issueNumber,
+      commentId: link.commentId,
+    });
+
+    await updateCommentSegment(link, message.id, newContent);
+    await setMessageLink(message.id, { ...link, content: newContent });
+  } catch (err) {
+    logEvent("error", "discord.message.update.error", {
+      error: formatError(err),
+      messageId: newMessage.id,
+    });
+    throw err;
+  }
+}
+
+async function handleMessageDelete(message) {
+  try {
+    const link = await getMessageLink(message.id);
+    if (!link) return;
+
+    const policy = getDeletedMessagePolicy(link.threadId);
+    logEvent("info", "discord.message.deleted", {
+      threadId: link.threadId,
+      messageId: message.id,
+      repo: `${link.owner}/${link.repo}`,
+      issueNumber: link.issueNumber,
+      commentId: link.commentId,
+      policy,
+    });
+
+    if (policy === "marker") {
+      if (link.content === DELETED_MESSAGE_MARKER) return;
+      await updateCommentSegment(link, message.id, DELETED_MESSAGE_MARKER);
+      await setMessageLink(message.id, { ...link, content: DELETED_MESSAGE_MARKER });
+      return;
+    }
+
+    await updateCommentSegment(link, message.id, null);
+    await deleteMessageLink(message.id);
+  } catch (err) {
+    logEvent("error", "discord.message.delete.error", {
+      error: formatError(err),
+      messageId: message.id,
+    });
+    throw err;
+  }
+}
+
+// Mirrors Discord reactions as the app's own GitHub reaction: present while at
+// least one Discord user (other than the bot) reacted with that emoji.
+async function handleReactionChange(message, emojiName) {
+  try {
+    if (!isForumThread(message.channel)) return;
+
+    const content = getGitHubReactionContent(emojiName);
+    if (!content) return;
+
+    // A forum post's starter message shares its ID with the thread
+    let targets = [];
+    if (message.id === message.channel.id) {
+      const defaultRepo = getDefaultRepo(message.channel.parentId);
+      targets = (await getSyncedIssueInfo(message.channel)).map(({ number, owner, repo }) => ({
+        owner: owner || defaultRepo.owner,
+        repo: repo || defaultRepo.repo,
+        path: "/repos/{owner}/{repo}/issues/{issue_number}/reactions",
+        bodyPath: "/repos/{owner}/{repo}/issues/{issue_number}",
+        params: { issue_number: number },
+      }));
+    } else {
+      const link = await getMessageLink(message.id);
+      if (link) {
+        targets = [
+          {
+            owner: link.owner,
+            repo: link.repo,
+            path: "/repos/{owner}/{repo}/issues/comments/{comment_id}/reactions",
+            bodyPath: "/repos/{owner}/{repo}/issues/comments/{comment_id}",
+            params: { comment_id: link.commentId },
+          },
+        ];
+      }
+    }
+    if (targets.length === 0) return;
+
+    const reaction = message.reactions.cache.find((r) => r.emoji.name === emojiName);
+    const users = reaction ? await reaction.users.fetch() : null;
+    const discordCount = users ? users.filter((reactor) => !reactor.bot).size : 0;
+
+    for (const target of targets) {
+      const octokit = await getOctokit(target.owner, target.repo);
+      const params = { owner: target.owner, repo: target.repo, ...target.params };
+      // Creating is idempotent and returns the existing reaction, which gives us its ID
+      const { data: githubReaction } = await octokit.request(`POST ${target.path}`, {
+        ...params,
+        content,
+      });
+      if (discordCount === 0) {
+        await octokit.request(`DELETE ${target.path}/{reaction_id}`, {
+          ...params,
+          reaction_id: githubReaction.id,
+        });
+      }
+
+      // Issues opened on GitHub keep their author's body, so only the single
+      // reaction above reflects Discord there
+      const { data: item } = await octokit.request(`GET ${target.bodyPath}`, params);
+      const body = isBridgeAuthored(item) ? setDiscordReactionCount(item.body, content, discordCount) : null;
+      if (body && body !== item.body) {
+        await octokit.request(`PATCH ${target.bodyPath}`, { ...params, body });
+      }
+
+      logEvent("info", "github.reaction.sync", {
+        repo: `${target.owner}/${target.repo}`,
+        ...target.params,
+        messageId: message.id,
+        content,
+        discordCount,
+        countShown: Boolean(body),
+      });
+    }
+  } catch (err) {
+    logEvent("error", "discord.reaction.error", {
+      error: formatError(err),
+      messageId: message.id,
+    });
+    throw err;
+  }
+}
+
+// Applies THREAD_DELETE_POLICY / THREAD_ARCHIVE_POLICY to the issues a thread was
+// synced with and returns the ones it acted on
+async function applyThreadLifecyclePolicy(kind, threadId, issues) {
+  const policy = getThreadLifecyclePolicy(kind);
+  if (policy === "none") return [];
+
+  const applied = [];
+
+  const reason =
+    kind === "delete" ? "The Discord thread for this issue was deleted." : "The Discord thread for this issue was archived.";
+
+  for (const { owner, repo, number: issueNumber } of issues) {
+    const octokit = await getOctokit(owner, repo);
+    const { data: issue } = await octokit.request("GET /repos/{owner}/{repo}/issues/{issue_number}", {
+      owner,
+      repo,
+      issue_number: issueNumber,
+    });
+    // Locks mirrored from GitHub (issues.locked) are not a Discord-side decision
+    if (kind === "archive" && issue.locked) continue;
+    applied.push({ owner, repo, number: issueNumber });
+
+    logEvent("info", "discord.thread.lifecycle", {
+      kind,
+      policy,
+      threadId,
+      repo: `${owner}/${repo}`,
+      issueNumber,
+    });
+
+    if (policy === "close") {
+      if (issue.state === "closed") continue;
+      await octokit.request("POST /repos/{owner}/{repo}/issues/{issue_number}/comments", {
+        owner,
+        repo,
+        issue_number: issueNumber,
+        body: `${reason} Closing this issue.`,
+      });
+      await octokit.request("PATCH /repos/{owner}/{repo}/issues/{issue_number}", {
+        owner,
+        repo,
+        issue_number: issueNumber,
+        state: "closed",
+      });
+      continue;
+    }
+
+    if (hasSyncLabel(issue)) {
+      try {
+        await octokit.request("DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}", {
           owner,
           repo,
           issue_number: issueNumber,
-          body: formatDiscordAuthorComment(message.author, message.url, newContent),
+          name: getSyncLabel(),
         });
+      } catch (err) {
+        if (err.status !== 404) throw err;
       }
     }
+    await deleteThreadCacheEntry(owner, repo, issueNumber);
+  }
+
+  return applied;
+}
+
+async function handleThreadDelete(thread) {
+  try {
+    if (!isForumThread(thread)) return;
+
+    const entries = await getThreadCacheEntriesByThread(thread.id);
+    logEvent("info", "discord.thread.deleted", {
+      threadId: thread.id,
+      issueCount: entries.length,
+    });
+    if (entries.length === 0) return;
+
+    const issues = entries.map(({ owner, repo, issueNumber }) => ({ owner, repo, number: issueNumber }));
+    await applyThreadLifecyclePolicy("delete", thread.id, issues);
+
+    // The thread is gone whatever the policy, so its mappings are stale
+    for (const { owner, repo, number } of issues) {
+      await deleteThreadCacheEntry(owner, repo, number);
+    }
   } catch (err) {
-    logEvent("error", "discord.message.error", {
+    logEvent("error", "discord.thread.delete.error", {
       error: formatError(err),
-      installationId: lastInstallationId,
+      threadId: thread.id,
     });
+    throw err;
   }
 }
 
-async function handleThreadUpdate(oldThread, newThread) {
+// How far apart a thread's archive time and its audit log entry may be
+const ARCHIVE_AUDIT_WINDOW_MS = 60 * 1000;
+
+// Discord archives idle threads on its own, which must not close or unsync
+// their issues. A member's archive leaves an audit log entry; the inactivity
+// auto-archive does not. Without the View Audit Log permission every archive
+// counts as automatic and only locking a thread applies the archive policy;
+// so does any other failure to read the audit log.
+async function wasArchivedByMember(thread, archivedAt) {
   try {
-    if (!isForumThread(newThread)) return;
+    const { entries } = await thread.guild.fetchAuditLogs({ type: AuditLogEvent.ThreadUpdate, limit: 50 });
+    return entries.some(
+      (entry) =>
+        entry.targetId === thread.id &&
+        entry.executorId !== thread.client.user.id &&
+        Math.abs(entry.createdTimestamp - archivedAt) <= ARCHIVE_AUDIT_WINDOW_MS &&
+        entry.changes.some((change) => change.key === "archived" && change.new === true)
+    );
+  } catch (err) {
+    // Treated as automatic so the rest of the thread update still syncs
+    logEvent("warn", "discord.thread.archive.audit_log.error", { threadId: thread.id, error: formatError(err) });
+    return false;
+  }
+}
+
+// oldThread and newThread are snapshots taken when the event fired; thread is
+// the live channel, used only for API calls, so jobs queued for several quick
+// updates each apply their own change once
+async function handleThreadUpdate(thread, oldThread, newThread) {
+  try {
+    if (!isForumThread(thread)) return;
 
-    const syncedIssues = await getSyncedIssueInfo(newThread);
+    const syncedIssues = await getSyncedIssueInfo(thread);
     if (syncedIssues.length === 0) return;
 
     logEvent("info", "discord.thread.update", {
-      threadId: newThread.id,
+      threadId: thread.id,
       archived: newThread.archived,
-      installationId: lastInstallationId,
     });
 
-    const octokit = await getOctokit();
-    const defaultRepo = getDefaultRepo();
+    const defaultRepo = getDefaultRepo(thread.parentId);
 
     if (oldThread.name !== newThread.name) {
       for (const { number: issueNumber, owner: issueOwner, repo: repoName } of syncedIssues) {
         const owner = issueOwner || defaultRepo.owner;
         const repo = repoName || defaultRepo.repo;
+        const octokit = await getOctokit(owner, repo);
 
         const { data: issueData } = await octokit.request(
           "GET /repos/{owner}/{repo}/issues/{issue_number}",
@@ -358,7 +888,6 @@ async function handleThreadUpdate(oldThread, newThread) {
             issueNumber,
             oldTitle: issueData.title,
             newTitle: newThread.name,
-            installationId: lastInstallationId,
           });
           await octokit.request("PATCH /repos/{owner}/{repo}/issues/{issue_number}", {
             owner,
@@ -369,12 +898,41 @@ async function handleThreadUpdate(oldThread, newThread) {
         }
 
         await setThreadCacheEntry(owner, repo, issueNumber, {
-          threadId: newThread.id,
+          threadId: thread.id,
           title: newThread.name,
         });
       }
     }
 
+    const archivedNow = !oldThread.archived && newThread.archived;
+    const lockedNow = !oldThread.locked && newThread.locked;
+    const archivePolicyApplies =
+      getThreadLifecyclePolicy("archive") !== "none" &&
+      (lockedNow || (archivedNow && (await wasArchivedByMember(thread, newThread.archiveTimestamp))));
+    if (archivePolicyApplies) {
+      const issues = syncedIssues.map(({ number, owner, repo }) => ({
+        owner: owner || defaultRepo.owner,
+        repo: repo || defaultRepo.repo,
+        number,
+      }));
+      const applied = await applyThreadLifecyclePolicy("archive", thread.id, issues);
+      if (getThreadLifecyclePolicy("archive") === "unsync") {
+        for (const { owner, repo, number } of applied) {
+          const issue = { number, html_url: `https://github.com/${owner}/${repo}/issues/${number}` };
+          try {
+            await markThreadUnsynced(thread.client, thread, issue, "thread archived on Discord");
+          } catch (err) {
+            // Archived threads may reject edits; the mapping is already gone either way
+            logEvent("warn", "discord.thread.unsync.error", {
+              threadId: thread.id,
+              issueNumber: number,
+              error: formatError(err),
+            });
+          }
+        }
+      }
+    }
+
     // Handle tag changes
     const oldTags = oldThread.appliedTags || [];
     const newTags = newThread.appliedTags || [];
@@ -382,11 +940,19 @@ async function handleThreadUpdate(oldThread, newThread) {
 
     if (JSON.stringify([...oldTags].sort()) === JSON.stringify([...newTags].sort())) return;
 
-    const forum = await newThread.client.channels.fetch(env.DISCORD_INPUT_FORUM_CHANNEL_ID);
+    const forum = await thread.client.channels.fetch(thread.parentId);
     const tagMap = new Map(forum.availableTags.map((t) => [t.id, t]));
 
     const addedTagIds = newTags.filter((id) => !oldTags.includes(id));
-    const removedTagIds = oldTags.filter((id) => !newTags.includes(id));
+    recordTagUse(forum.id, addedTagIds);
+
+    // Tags the bridge set itself (label budget, release tags) already match the issue
+    const bridgeChanges = takeBridgeTagChanges(thread.id, [
+      ...addedTagIds,
+      ...oldTags.filter((id) => !newTags.includes(id)),
+    ]);
+    const userAddedTagIds = addedTagIds.filter((id) => !bridgeChanges.includes(id));
+    const removedTagIds = oldTags.filter((id) => !newTags.includes(id) && !bridgeChanges.includes(id));
 
     const syncedRepoNames = new Set(
       syncedIssues
@@ -399,12 +965,13 @@ async function handleThreadUpdate(oldThread, newThread) {
     }
 
     const isRepoNameTag = (name) => syncedRepoNames.has(name.toLowerCase());
-    const closedTagAdded = addedTagIds.some((id) => isClosedTag(tagMap.get(id)));
+    const closedTagAdded = userAddedTagIds.some((id) => isClosedTag(tagMap.get(id)));
     const closedTagRemoved = removedTagIds.some((id) => isClosedTag(tagMap.get(id)));
 
     for (const { number: issueNumber, owner: issueOwner, repo: repoName } of syncedIssues) {
       const owner = issueOwner || defaultRepo.owner;
       const repo = repoName || defaultRepo.repo;
+      const octokit = await getOctokit(owner, repo);
 
       if (closedTagAdded || closedTagRemoved) {
         const desiredState = closedTagAdded ? "closed" : "open";
@@ -422,7 +989,6 @@ async function handleThreadUpdate(oldThread, newThread) {
             repo: `${owner}/${repo}`,
             issueNumber,
             state: desiredState,
-            installationId: lastInstallationId,
           });
           await octokit.request("PATCH /repos/{owner}/{repo}/issues/{issue_number}", {
             owner,
@@ -433,7 +999,8 @@ async function handleThreadUpdate(oldThread, newThread) {
         }
       }
 
-      for (const tagId of addedTagIds) {
+      let issueLabelNames = null;
+      for (const tagId of userAddedTagIds) {
         const tag = tagMap.get(tagId);
         const tagName = tag?.name;
         if (
@@ -441,23 +1008,41 @@ async function handleThreadUpdate(oldThread, newThread) {
           isSyncLabel(tagName) ||
           isRepoSelectorTag(tag) ||
           isRepoNameTag(tagName) ||
-          isClosedTag(tag)
+          isClosedTag(tag) ||
+          isReleaseTag(forum.id, tag)
         ) {
           continue;
         }
 
+        // The issue may already carry the tag through an alias, e.g. a tag applied for "bug"
+        if (!issueLabelNames) {
+          const { data: labels } = await octokit.request(
+            "GET /repos/{owner}/{repo}/issues/{issue_number}/labels",
+            {
+              owner,
+              repo,
+              issue_number: issueNumber,
+              per_page: 100,
+            }
+          );
+          issueLabelNames = new Set(labels.map((label) => label.name.toLowerCase()));
+        }
+        if (getLabelsForTagName(tagName).some((name) => issueLabelNames.has(name.toLowerCase()))) {
+          continue;
+        }
+
+        const labelName = getLabelForTagName(tagName);
         logEvent("info", "github.issue.label.add", {
           repo: `${owner}/${repo}`,
           issueNumber,
-          label: tagName,
-          installationId: lastInstallationId,
+          label: labelName,
         });
-        await getOrCreateGitHubLabel(octokit, owner, repo, tagName);
+        await getOrCreateGitHubLabel(octokit, owner, repo, labelName);
         await octokit.request("POST /repos/{owner}/{repo}/issues/{issue_number}/labels", {
           owner,
           repo,
           issue_number: issueNumber,
-          labels: [tagName],
+          labels: [labelName],
         });
       }
 
@@ -469,46 +1054,55 @@ async function handleThreadUpdate(oldThread, newThread) {
           isSyncLabel(tagName) ||
           isRepoSelectorTag(tag) ||
           isRepoNameTag(tagName) ||
-          isClosedTag(tag)
+          isClosedTag(tag) ||
+          isReleaseTag(forum.id, tag)
         ) {
           continue;
         }
 
-        logEvent("info", "github.issue.label.remove", {
-          repo: `${owner}/${repo}`,
-          issueNumber,
-          label: tagName,
-          installationId: lastInstallationId,
-        });
-        try {
-          await octokit.request("DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}", {
-            owner,
-            repo,
-            issue_number: issueNumber,
-            name: tagName,
-          });
-        } catch (err) {
-          if (err.status !== 404) throw err;
+        // The issue may carry any of the labels aliased to this tag
+        for (const labelName of getLabelsForTagName(tagName)) {
+          try {
+            await octokit.request("DELETE /repos/{owner}/{repo}/issues/{issue_number}/labels/{name}", {
+              owner,
+              repo,
+              issue_number: issueNumber,
+              name: labelName,
+            });
+            logEvent("info", "github.issue.label.remove", {
+              repo: `${owner}/${repo}`,
+              issueNumber,
+              label: labelName,
+            });
+          } catch (err) {
+            if (err.status !== 404) throw err;
+          }
         }
       }
     }
   } catch (err) {
     logEvent("error", "discord.thread.update.error", {
       error: formatError(err),
-      installationId: lastInstallationId,
     });
+    throw err;
   }
 }
 
 async function handleNewThread(thread) {
+  let releaseIssueLock = null;
   try {
     logEvent("info", "discord.thread.created", {
       threadId: thread.id,
-      installationId: lastInstallationId,
     });
-    await sleep(500);
 
-    const message = await thread.fetchStarterMessage();
+    let message;
+    try {
+      message = await thread.fetchStarterMessage();
+    } catch (err) {
+      // The starter message can trail ThreadCreate; let the queue retry the job
+      if (err.code === 10008) err.retryable = true;
+      throw err;
+    }
     if (!message || !isForumThread(message.channel)) return;
     if (message.author.bot) return;
     if (message.content.startsWith("`synced with issue #")) return;
@@ -517,20 +1111,23 @@ async function handleNewThread(thread) {
     logEvent("info", "discord.thread.process", {
       threadId: thread.id,
       messageId: message.id,
-      installationId: lastInstallationId,
     });
 
-    const octokit = await getOctokit();
-    const defaultRepo = getDefaultRepo();
+    const defaultRepo = getDefaultRepo(thread.parentId);
     let repoName = defaultRepo.repo;
     let repoOwner = defaultRepo.owner;
 
     const appliedTags = thread.appliedTags || [];
-    const forum = await thread.client.channels.fetch(env.DISCORD_INPUT_FORUM_CHANNEL_ID);
+    const forum = await thread.client.channels.fetch(thread.parentId);
+    recordTagUse(forum.id, appliedTags);
 
     await getOrCreateClosedForumTag(forum);
 
-    const { repoMap, repoCount } = await getInstallationRepoMap(octokit, lastInstallationId);
+    // Repo-selector tags only pick among the repositories this forum is routed to
+    const route = getForumRoute(thread.parentId);
+    const { repoMap, repoCount } = await getRepoMapByName(defaultRepo.owner, (repository) =>
+      isRepoAllowed(route, repository.owner.login, repository.name)
+    );
     const repoFromTag = resolveRepoFromTags(appliedTags, forum.availableTags, repoMap);
 
     let repoSource = "default";
@@ -549,53 +1146,89 @@ async function handleNewThread(thread) {
       source: repoSource,
       tagName: repoTagName,
       repoCount,
-      installationId: lastInstallationId,
     });
 
     const tagNames = appliedTags
       .map((id) => forum.availableTags.find((t) => t.id === id))
       .filter(Boolean)
       .filter((tag) => !isRepoSelectorTag(tag))
-      .filter((tag) => !isClosedTag(tag))
+      .filter((tag) => !isClosedTag(tag) && !isReleaseTag(forum.id, tag))
       .map((tag) => tag.name)
       .filter((name) => name && !isSyncLabel(name))
-      .filter((name) => name.toLowerCase() !== repoName.toLowerCase());
+      .filter((name) => name.toLowerCase() !== repoName.toLowerCase())
+      .map(getLabelForTagName);
 
     const uniqueTagNames = [...new Set(tagNames)];
 
-    await getOrCreateGitHubLabel(octokit, repoOwner, repoName, SYNC_LABEL);
-    for (const tagName of uniqueTagNames) {
-      await getOrCreateGitHubLabel(octokit, repoOwner, repoName, tagName);
+    // A retried job resumes from the issue it already created instead of opening another
+    const [existingLink] = await getThreadCacheEntriesByThread(thread.id);
+    if (existingLink?.syncMessageId) return;
+
+    // Sync filters only gate the first attempt; a retry finishes what it started
+    if (!existingLink) {
+      const member = message.member || (await thread.guild.members.fetch(message.author.id).catch(() => null));
+      const filterReason = checkDiscordPostFilter(route.filters.discordPosts, {
+        tagNames: appliedTags.map((id) => forum.availableTags.find((t) => t.id === id)?.name).filter(Boolean),
+        roles: member ? [...member.roles.cache.values()] : [],
+      });
+      if (filterReason) {
+        logEvent("info", "discord.thread.filtered", { threadId: thread.id, reason: filterReason });
+        return;
+      }
     }
 
-    const { data: issue } = await octokit.request("POST /repos/{owner}/{repo}/issues", {
-      owner: repoOwner,
-      repo: repoName,
-      title: message.channel.name,
-      body: formatDiscordAuthorComment(
-        message.author,
-        message.url,
-        processMessageContent(message)
-      ),
-      labels: [SYNC_LABEL, ...uniqueTagNames],
-    });
+    let issue;
+    if (existingLink) {
+      const octokit = await getOctokit(existingLink.owner, existingLink.repo);
+      ({ data: issue } = await octokit.request("GET /repos/{owner}/{repo}/issues/{issue_number}", {
+        owner: existingLink.owner,
+        repo: existingLink.repo,
+        issue_number: existingLink.issueNumber,
+      }));
+      [repoOwner, repoName] = issue.repository_url.split("/").slice(-2);
+    } else {
+      const octokit = await getOctokit(repoOwner, repoName);
+      await getOrCreateGitHubLabel(octokit, repoOwner, repoName, getSyncLabel());
+      for (const tagName of uniqueTagNames) {
+        await getOrCreateGitHubLabel(octokit, repoOwner, repoName, tagName);
+      }
 
-    logEvent("info", "github.issue.created", {
-      repo: `${repoOwner}/${repoName}`,
-      issueNumber: issue.number,
-      threadId: thread.id,
-      installationId: lastInstallationId,
-    });
+      ({ data: issue } = await octokit.request("POST /repos/{owner}/{repo}/issues", {
+        owner: repoOwner,
+        repo: repoName,
+        title: message.channel.name,
+        body: formatDiscordAuthorComment(
+          message.author,
+          message.url,
+          processMessageContent(message),
+          [message.id]
+        ),
+        labels: [getSyncLabel(), ...uniqueTagNames],
+      }));
+      // Hold the new issue until the thread is fully synced, so webhooks for it
+      // (opened, labeled) wait for the pin instead of racing it
+      releaseIssueLock = await acquireLocks([getIssueLockKey(repoOwner, repoName, issue.number)]);
+      await setThreadCacheEntry(repoOwner, repoName, issue.number, {
+        threadId: thread.id,
+        title: issue.title,
+      });
+
+      logEvent("info", "github.issue.created", {
+        repo: `${repoOwner}/${repoName}`,
+        issueNumber: issue.number,
+        threadId: thread.id,
+      });
+    }
 
-    // Add repo tag to thread
-    const repoTag = await getOrCreateForumTag(forum, repoName, REPO_TAG_EMOJI);
+    // The repo tag is pinned and the post's label tags keep the remaining
+    // slots by priority, recorded so the ThreadUpdate does not remove labels
+    const repoTag = await getOrCreateForumTag(forum, repoName, getRepoTagEmoji());
+    let overflowLabels = [];
     if (repoTag && !appliedTags.includes(repoTag.id)) {
-      const newTags = [repoTag.id, ...appliedTags].slice(0, 5);
-      await thread.setAppliedTags(newTags);
+      overflowLabels = await applyThreadLabelTags(forum, thread, issue, repoName, { pin: [repoTag.id] });
       logEvent("info", "discord.thread.repo_tag.add", {
         threadId: thread.id,
         repo: repoName,
-        installationId: lastInstallationId,
       });
     }
 
@@ -608,7 +1241,8 @@ async function handleNewThread(thread) {
         name: message.author.username,
         iconUrl: message.author.avatarURL() || message.author.defaultAvatarURL,
       },
-      repoName
+      repoName,
+      createSyncStatusFields(issue, [], overflowLabels)
     );
 
     const sentMessage = await thread.send(syncMessage);
@@ -616,34 +1250,177 @@ async function handleNewThread(thread) {
     await setThreadCacheEntry(repoOwner, repoName, issue.number, {
       threadId: thread.id,
       title: issue.title,
+      syncMessageId: sentMessage.id,
     });
     logEvent("info", "discord.thread.synced", {
       threadId: thread.id,
       repo: `${repoOwner}/${repoName}`,
       issueNumber: issue.number,
-      installationId: lastInstallationId,
     });
   } catch (err) {
     logEvent("error", "discord.thread.create.error", {
       error: formatError(err),
       threadId: thread.id,
-      installationId: lastInstallationId,
     });
+    throw err;
+  } finally {
+    releaseIssueLock?.();
+  }
+}
+
+async function fetchDiscordMessage(channelId, messageId) {
+  const client = await waitForDiscordClient();
+  try {
+    const channel = await client.channels.fetch(channelId);
+    return await channel.messages.fetch(messageId);
+  } catch (err) {
+    // Unknown channel / unknown message: deleted before the job ran
+    if (err.code === 10003 || err.code === 10008) return null;
+    throw err;
+  }
+}
+
+async function fetchDiscordThread(threadId) {
+  const client = await waitForDiscordClient();
+  try {
+    return await client.channels.fetch(threadId);
+  } catch (err) {
+    if (err.code === 10003) return null;
+    throw err;
   }
 }
 
+function snapshotThread(thread) {
+  return {
+    id: thread.id,
+    parentId: thread.parentId,
+    name: thread.name,
+    appliedTags: [...(thread.appliedTags || [])],
+    archived: thread.archived,
+    archiveTimestamp: thread.archiveTimestamp,
+    locked: thread.locked,
+  };
+}
+
+// Thread jobs run under the thread's sync lock, shared with the issues it is linked to
+function registerThreadJob(type, handler) {
+  registerJobHandler(type, (payload) => withThreadLock(payload.threadId, () => handler(payload)));
+}
+
+// Discord events are queued by ID and re-fetched when the job runs, so jobs
+// survive restarts and replays without serializing discord.js objects
+function registerDiscordJobs() {
+  registerThreadJob("discord.message.create", async ({ channelId, messageId }) => {
+    const message = await fetchDiscordMessage(channelId, messageId);
+    if (message) await handleNewMessage(message);
+  });
+  registerThreadJob("discord.message.update", async ({ channelId, messageId }) => {
+    const message = await fetchDiscordMessage(channelId, messageId);
+    if (message) await handleMessageUpdate(null, message);
+  });
+  registerThreadJob("discord.message.delete", async ({ messageId }) => {
+    await handleMessageDelete({ id: messageId });
+  });
+  registerThreadJob("discord.reaction", async ({ channelId, messageId, emojiName }) => {
+    const message = await fetchDiscordMessage(channelId, messageId);
+    if (message) await handleReactionChange(message, emojiName);
+  });
+  registerThreadJob("discord.thread.create", async ({ threadId }) => {
+    const thread = await fetchDiscordThread(threadId);
+    if (thread) await handleNewThread(thread);
+  });
+  registerThreadJob("discord.thread.update", async ({ threadId, oldThread, newThread }) => {
+    const thread = await fetchDiscordThread(threadId);
+    // Jobs queued before both snapshots were stored only carry the old one
+    if (thread) await handleThreadUpdate(thread, oldThread, newThread || snapshotThread(thread));
+  });
+  registerThreadJob("discord.thread.delete", async ({ thread }) => {
+    await handleThreadDelete(thread);
+  });
+}
+
+function enqueueThreadJob(type, threadId, payload) {
+  enqueueJob(type, `discord:thread:${threadId}`, { threadId, ...payload });
+}
+
 function start() {
-  // Setup GitHub App webhooks
-  setupWebhooks();
+  // Refuse to start on an invalid config rather than failing mid-sync later
+  try {
+    loadConfig();
+  } catch (err) {
+    logEvent("error", "config.invalid", { error: err.message, errors: err.errors });
+    process.exit(1);
+  }
+  watchConfig();
+
+  // Setup GitHub App webhooks; deliveries that arrive before the Discord
+  // client is ready wait for it inside withDiscordClient
+  startServer().catch((err) => {
+    logEvent("error", "server.start.error", { error: formatError(err) });
+    process.exit(1);
+  });
+
+  // Start the Discord client shared with the webhook handlers
+  const client = getDiscordClient();
 
-  // Start Discord client
-  const client = createDiscordClient();
+  registerDiscordJobs();
+
+  client.on(Events.MessageCreate, (message) => {
+    if (!isForumThread(message.channel) || message.author.bot) return;
+    enqueueThreadJob("discord.message.create", message.channelId, {
+      channelId: message.channelId,
+      messageId: message.id,
+    });
+  });
+  client.on(Events.MessageUpdate, (oldMessage, newMessage) => {
+    if (!newMessage.channel || !isForumThread(newMessage.channel)) return;
+    enqueueThreadJob("discord.message.update", newMessage.channelId, {
+      channelId: newMessage.channelId,
+      messageId: newMessage.id,
+    });
+  });
+  client.on(Events.MessageDelete, (message) => {
+    if (message.channel && !isForumThread(message.channel)) return;
+    enqueueThreadJob("discord.message.delete", message.channelId, { messageId: message.id });
+  });
+  client.on(Events.MessageBulkDelete, (messages, channel) => {
+    if (!isForumThread(channel)) return;
+    // Oldest first so each segment rewrite sees the comment as the previous one left it
+    const ordered = [...messages.values()].sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+    for (const message of ordered) {
+      enqueueThreadJob("discord.message.delete", channel.id, { messageId: message.id });
+    }
+  });
+  const onReaction = (reaction, user) => {
+    if (user.bot || !isForumThread(reaction.message.channel)) return;
+    enqueueThreadJob("discord.reaction", reaction.message.channelId, {
+      channelId: reaction.message.channelId,
+      messageId: reaction.message.id,
+      emojiName: reaction.emoji.name,
+    });
+  };
+  client.on(Events.MessageReactionAdd, onReaction);
+  client.on(Events.MessageReactionRemove, onReaction);
+  client.on(Events.ThreadCreate, (thread) => {
+    if (!isForumThread(thread)) return;
+    enqueueThreadJob("discord.thread.create", thread.id, { threadId: thread.id });
+  });
+  client.on(Events.ThreadUpdate, (oldThread, newThread) => {
+    if (!isForumThread(newThread)) return;
+    enqueueThreadJob("discord.thread.update", newThread.id, {
+      threadId: newThread.id,
+      oldThread: snapshotThread(oldThread),
+      newThread: snapshotThread(newThread),
+    });
+  });
+  client.on(Events.ThreadDelete, (thread) => {
+    if (!isForumThread(thread)) return;
+    enqueueThreadJob("discord.thread.delete", thread.id, { thread: snapshotThread(thread) });
+  });
 
-  client.on(Events.MessageCreate, handleNewMessage);
-  client.on(Events.ThreadCreate, handleNewThread);
-  client.on(Events.ThreadUpdate, handleThreadUpdate);
+  startJobQueue();
 
-  client.login(env.DISCORD_TOKEN).catch((err) => {
+  loginDiscordClient().catch((err) => {
     logEvent("error", "discord.login.failed", { error: formatError(err) });
     process.exit(1);
   });
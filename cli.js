@@ -0,0 +1,97 @@
+const { getStore } = require("./store.js");
+const { listDeadJobs, replayJob } = require("./jobQueue.js");
+const { listRecentDeliveries, replayDelivery } = require("./webhookDeliveries.js");
+const { loadConfig, ConfigError } = require("./config.js");
+
+const USAGE = `Usage:
+  node cli.js jobs            Show job counts by status
+  node cli.js jobs dead       List dead-lettered jobs
+  node cli.js jobs replay <id|all>
+                              Requeue dead jobs; the running bridge picks them up
+  node cli.js deliveries [limit]
+                              List recent GitHub webhook deliveries
+  node cli.js deliveries replay <delivery-id>
+                              Re-run a stored delivery through the webhook handlers
+  node cli.js config          Validate the config file and print the effective settings`;
+
+function printJob(job) {
+  const error = job.lastError ? JSON.parse(job.lastError) : null;
+  console.log(
+    `#${job.id}\t${job.type}\t${job.orderingKey}\tattempts=${job.attempts}\t${error?.message || ""}`
+  );
+}
+
+function runJobsCommand([subcommand, target]) {
+  if (!subcommand) {
+    console.log(getStore().countJobs());
+    return 0;
+  }
+
+  if (subcommand === "dead") {
+    const jobs = listDeadJobs(1000);
+    jobs.forEach(printJob);
+    console.log(`${jobs.length} dead job(s)`);
+    return 0;
+  }
+
+  if (subcommand === "replay" && target) {
+    const ids = target === "all" ? listDeadJobs(1000).map((job) => job.id) : [parseInt(target, 10)];
+    const replayed = ids.filter((id) => replayJob(id));
+    console.log(`Requeued ${replayed.length} of ${ids.length} job(s)`);
+    return replayed.length === ids.length ? 0 : 1;
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+function runDeliveriesCommand([subcommand, target]) {
+  if (subcommand === "replay" && target) {
+    const { error, jobId } = replayDelivery(target);
+    if (error === "missing") {
+      console.error(`No stored payload for delivery ${target}`);
+      return 1;
+    }
+    if (error === "in_flight") {
+      console.error(`Delivery ${target} is still queued or running as job #${jobId}`);
+      return 1;
+    }
+    console.log(`Queued delivery ${target} as job #${jobId}`);
+    return 0;
+  }
+
+  if (subcommand && Number.isNaN(parseInt(subcommand, 10))) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  for (const delivery of listRecentDeliveries(parseInt(subcommand || "20", 10))) {
+    const processed = delivery.processedAt ? new Date(delivery.processedAt).toISOString() : "pending";
+    console.log(
+      `${delivery.deliveryId}\t${delivery.event}\t${new Date(delivery.receivedAt).toISOString()}\t${processed}`
+    );
+  }
+  return 0;
+}
+
+function runConfigCommand() {
+  try {
+    console.log(JSON.stringify(loadConfig(), null, 2));
+    return 0;
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    return 1;
+  }
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+  if (command === "jobs") return runJobsCommand(args);
+  if (command === "deliveries") return runDeliveriesCommand(args);
+  if (command === "config") return runConfigCommand();
+  console.error(USAGE);
+  return 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
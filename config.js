@@ -0,0 +1,498 @@
+const fs = require("fs");
+const path = require("path");
+const { env } = require("process");
+const { logEvent } = require("./logging.js");
+
+// Bridge settings come from one JSON file (BRIDGE_CONFIG_PATH, default
+// ./config.json; see config.example.json) layered over the defaults below,
+// with the legacy environment variables applied on top as overrides. The
+// merged result is validated on load and on every hot reload; an invalid
+// reload is logged and the previous config stays active. Storage paths and
+// secrets (tokens, keys) only take effect on restart.
+const CONFIG_PATH = env.BRIDGE_CONFIG_PATH || path.join(process.cwd(), "config.json");
+const CONFIG_WATCH_INTERVAL_MS = 2000;
+
+const THREAD_POLICIES = ["close", "unsync", "none"];
+const AUTHOR_ASSOCIATIONS = [
+  "OWNER",
+  "MEMBER",
+  "COLLABORATOR",
+  "CONTRIBUTOR",
+  "FIRST_TIME_CONTRIBUTOR",
+  "FIRST_TIMER",
+  "MANNEQUIN",
+  "NONE",
+];
+const REPO_PATTERN = /^[^/\s]+\/[^/\s]+$/;
+
+const DEFAULT_CONFIG = {
+  github: {
+    syncLabel: "🔵-synced",
+  },
+  discord: {
+    serverId: null,
+    repoTagEmoji: "🧭",
+    closedTag: { name: "closed", emoji: "✅" },
+    // Discord allows at most 5 tags on a thread and 20 on a forum
+    tagLimits: { perThread: 5, perForum: 20 },
+    // Retire the least recently used tag when a forum has no room for a new one
+    tagBudget: { retireUnused: true, protectedTags: [] },
+  },
+  routes: { guilds: {}, forums: {} },
+  labels: {},
+  filters: { issues: {}, discordPosts: {} },
+  safety: {
+    allowedPrivateRepos: [],
+    confidentialLabels: ["confidential"],
+    // GitHub tokens, AWS access keys and email addresses
+    redactPatterns: [
+      "gh[pousr]_[A-Za-z0-9]{36,}",
+      "github_pat_[A-Za-z0-9_]{22,}",
+      "AKIA[0-9A-Z]{16}",
+      "[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}",
+    ],
+    redactReplacement: "[redacted]",
+  },
+  policies: {
+    deletedMessage: "remove",
+    deletedMessageMarkerThreadIds: [],
+    threadDelete: "unsync",
+    // Applies when a thread is locked, or archived by a member (needs View Audit Log);
+    // Discord's inactivity auto-archive never triggers it
+    threadArchive: "none",
+    releaseForumTags: false,
+  },
+  storage: {
+    databasePath: path.join(process.cwd(), "bridge.db"),
+    legacyThreadCachePath: path.join(process.cwd(), "thread-cache.json"),
+  },
+  jobs: {
+    concurrency: 4,
+    maxAttempts: 8,
+  },
+};
+
+const REPO_SELECTOR = { type: "string", pattern: /^[^/\s]+\/([^/\s]+|\*)$/, hint: "owner/repo or owner/*" };
+const NAME_LIST = { type: "array", items: { type: "string" } };
+
+const FILTERS_SCHEMA = {
+  type: "object",
+  properties: {
+    issues: {
+      type: "object",
+      properties: {
+        repos: { type: "array", items: REPO_SELECTOR },
+        excludeRepos: { type: "array", items: REPO_SELECTOR },
+        labels: NAME_LIST,
+        excludeLabels: NAME_LIST,
+        authorAssociations: { type: "array", items: { type: "string", enum: AUTHOR_ASSOCIATIONS } },
+      },
+    },
+    discordPosts: {
+      type: "object",
+      properties: {
+        tags: NAME_LIST,
+        excludeTags: NAME_LIST,
+        roles: NAME_LIST,
+        excludeRoles: NAME_LIST,
+      },
+    },
+  },
+};
+
+const ROUTE_PROPERTIES = {
+  defaultRepo: { type: "string", pattern: REPO_PATTERN, hint: "owner/repo" },
+  repos: { type: "array", items: REPO_SELECTOR },
+  filters: FILTERS_SCHEMA,
+};
+
+const CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    github: {
+      type: "object",
+      properties: { syncLabel: { type: "string" } },
+    },
+    discord: {
+      type: "object",
+      properties: {
+        serverId: { type: "string", nullable: true },
+        repoTagEmoji: { type: "string" },
+        closedTag: {
+          type: "object",
+          properties: { name: { type: "string" }, emoji: { type: "string" } },
+        },
+        tagLimits: {
+          type: "object",
+          properties: {
+            perThread: { type: "integer", min: 1, max: 5 },
+            perForum: { type: "integer", min: 1, max: 20 },
+          },
+        },
+        tagBudget: {
+          type: "object",
+          properties: {
+            retireUnused: { type: "boolean" },
+            protectedTags: { type: "array", items: { type: "string" } },
+          },
+        },
+      },
+    },
+    routes: {
+      type: "object",
+      properties: {
+        guilds: { type: "map", values: { type: "object", properties: ROUTE_PROPERTIES } },
+        forums: {
+          type: "map",
+          values: {
+            type: "object",
+            properties: { ...ROUTE_PROPERTIES, guildId: { type: "string" } },
+          },
+        },
+      },
+    },
+    labels: {
+      type: "map",
+      values: {
+        type: "object",
+        properties: {
+          tag: { type: "string" },
+          emoji: { type: "string" },
+          color: { type: "string", pattern: /^#?[0-9a-fA-F]{6}$/, hint: "a hex colour such as d73a4a" },
+          // GitHub caps label descriptions at 100 characters
+          description: { type: "string", maxLength: 100 },
+          aliases: { type: "array", items: { type: "string" } },
+          // Higher wins a thread's tag slots; labels without an entry rank 0
+          priority: { type: "integer" },
+        },
+      },
+    },
+    filters: FILTERS_SCHEMA,
+    safety: {
+      type: "object",
+      properties: {
+        allowedPrivateRepos: { type: "array", items: REPO_SELECTOR },
+        confidentialLabels: NAME_LIST,
+        redactPatterns: { type: "array", items: { type: "regex" } },
+        redactReplacement: { type: "string" },
+      },
+    },
+    policies: {
+      type: "object",
+      properties: {
+        deletedMessage: { type: "string", enum: ["remove", "marker"] },
+        deletedMessageMarkerThreadIds: { type: "array", items: { type: "string" } },
+        threadDelete: { type: "string", enum: THREAD_POLICIES },
+        threadArchive: { type: "string", enum: THREAD_POLICIES },
+        releaseForumTags: { type: "boolean" },
+      },
+    },
+    storage: {
+      type: "object",
+      properties: {
+        databasePath: { type: "string" },
+        legacyThreadCachePath: { type: "string" },
+      },
+    },
+    jobs: {
+      type: "object",
+      properties: {
+        concurrency: { type: "integer", min: 1 },
+        maxAttempts: { type: "integer", min: 1 },
+      },
+    },
+  },
+};
+
+const parseList = (value) => value.split(",").map((item) => item.trim()).filter(Boolean);
+const parseBoolean = (value) => (value === "true" ? true : value === "false" ? false : value);
+const parseInteger = (value) => (/^-?\d+$/.test(value.trim()) ? parseInt(value, 10) : value);
+
+// Environment variables that override a config path when set
+const ENV_OVERRIDES = [
+  ["SYNC_LABEL", "github.syncLabel"],
+  ["DISCORD_SERVER_ID", "discord.serverId"],
+  ["REPO_TAG_EMOJI", "discord.repoTagEmoji", (value) => value.trim()],
+  ["CLOSED_TAG_NAME", "discord.closedTag.name"],
+  ["CLOSED_TAG_EMOJI", "discord.closedTag.emoji"],
+  ["DELETED_MESSAGE_POLICY", "policies.deletedMessage"],
+  ["DELETED_MESSAGE_MARKER_THREAD_IDS", "policies.deletedMessageMarkerThreadIds", parseList],
+  ["THREAD_DELETE_POLICY", "policies.threadDelete"],
+  ["THREAD_ARCHIVE_POLICY", "policies.threadArchive"],
+  ["RELEASE_FORUM_TAGS", "policies.releaseForumTags", parseBoolean],
+  ["BRIDGE_DB_PATH", "storage.databasePath"],
+  ["THREAD_CACHE_PATH", "storage.legacyThreadCachePath"],
+  ["JOB_CONCURRENCY", "jobs.concurrency", parseInteger],
+  ["JOB_MAX_ATTEMPTS", "jobs.maxAttempts", parseInteger],
+];
+
+class ConfigError extends Error {
+  constructor(source, errors) {
+    super(`Invalid bridge config (${source}):\n${errors.map((error) => `  - ${error}`).join("\n")}`);
+    this.name = "ConfigError";
+    this.errors = errors;
+  }
+}
+
+let activeConfig = null;
+let watching = false;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = key in base ? deepMerge(base[key], value) : value;
+  }
+  return merged;
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split(".");
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(node[key])) node[key] = {};
+    node = node[key];
+  }
+  node[keys.at(-1)] = value;
+}
+
+function describe(value) {
+  return JSON.stringify(value) ?? String(value);
+}
+
+function validateValue(value, schema, at, errors) {
+  if (value === null && schema.nullable) return;
+
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string" || value === "") {
+        errors.push(`${at} must be a non-empty string (got ${describe(value)})`);
+      } else if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${at} must be one of ${schema.enum.join(", ")} (got ${describe(value)})`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${at} must look like ${schema.hint} (got ${describe(value)})`);
+      } else if (schema.maxLength && value.length > schema.maxLength) {
+        errors.push(`${at} must be at most ${schema.maxLength} characters (got ${value.length})`);
+      }
+      return;
+    case "regex":
+      if (typeof value !== "string" || value === "") {
+        errors.push(`${at} must be a non-empty regular expression string (got ${describe(value)})`);
+        return;
+      }
+      try {
+        new RegExp(value, "g");
+      } catch (err) {
+        errors.push(`${at} is not a valid regular expression: ${err.message}`);
+      }
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") errors.push(`${at} must be true or false (got ${describe(value)})`);
+      return;
+    case "integer":
+      if (!Number.isInteger(value)) {
+        errors.push(`${at} must be an integer (got ${describe(value)})`);
+      } else if (schema.min !== undefined && value < schema.min) {
+        errors.push(`${at} must be at least ${schema.min} (got ${value})`);
+      } else if (schema.max !== undefined && value > schema.max) {
+        errors.push(`${at} must be at most ${schema.max} (got ${value})`);
+      }
+      return;
+    case "array":
+      if (!Array.isArray(value)) {
+        errors.push(`${at} must be an array (got ${describe(value)})`);
+        return;
+      }
+      value.forEach((item, index) => validateValue(item, schema.items, `${at}[${index}]`, errors));
+      return;
+    case "map":
+      if (!isPlainObject(value)) {
+        errors.push(`${at} must be an object (got ${describe(value)})`);
+        return;
+      }
+      for (const [key, item] of Object.entries(value)) {
+        validateValue(item, schema.values, `${at}.${key}`, errors);
+      }
+      return;
+    case "object":
+      if (!isPlainObject(value)) {
+        errors.push(`${at} must be an object (got ${describe(value)})`);
+        return;
+      }
+      for (const [key, item] of Object.entries(value)) {
+        const property = schema.properties[key];
+        if (!property) {
+          errors.push(`${at ? `${at}.` : ""}${key} is not a known setting`);
+          continue;
+        }
+        validateValue(item, property, at ? `${at}.${key}` : key, errors);
+      }
+      return;
+    default:
+      throw new Error(`Unknown schema type ${schema.type}`);
+  }
+}
+
+// Checks that span several settings
+function validateRoutes(config, errors) {
+  const { guilds, forums } = config.routes;
+  for (const [forumId, forum] of Object.entries(forums)) {
+    if (forum.guildId && !guilds[forum.guildId] && !forum.defaultRepo) {
+      errors.push(`routes.forums.${forumId}.guildId names guild ${forum.guildId}, which has no entry in routes.guilds`);
+      continue;
+    }
+    if (!forum.defaultRepo && !guilds[forum.guildId]?.defaultRepo) {
+      errors.push(`routes.forums.${forumId} needs a defaultRepo, directly or through its guild`);
+    }
+  }
+}
+
+// A label or alias may belong to one mapping only, and each tag to one
+// mapping so it can be turned back into a label
+function validateLabels(config, errors) {
+  const labelOwners = new Map();
+  const tagOwners = new Map();
+  for (const [label, entry] of Object.entries(config.labels)) {
+    for (const name of [label, ...(entry.aliases || [])]) {
+      const owner = labelOwners.get(name.toLowerCase());
+      if (owner && owner !== label) {
+        errors.push(`labels.${label}: label "${name}" is already mapped by labels.${owner}`);
+      }
+      labelOwners.set(name.toLowerCase(), label);
+    }
+
+    const tag = (entry.tag || label).toLowerCase();
+    const tagOwner = tagOwners.get(tag);
+    if (tagOwner) {
+      errors.push(`labels.${label}: tag "${entry.tag || label}" is already mapped by labels.${tagOwner}; list extra labels as aliases instead`);
+    }
+    tagOwners.set(tag, label);
+  }
+}
+
+function validateConfig(config) {
+  const errors = [];
+  validateValue(config, CONFIG_SCHEMA, "", errors);
+  if (errors.length === 0) {
+    validateRoutes(config, errors);
+    validateLabels(config, errors);
+  }
+  return errors;
+}
+
+function readConfigFile() {
+  if (!fs.existsSync(CONFIG_PATH)) {
+    if (env.BRIDGE_CONFIG_PATH) {
+      throw new ConfigError(CONFIG_PATH, [`config file not found at ${CONFIG_PATH}`]);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
+  } catch (err) {
+    throw new ConfigError(CONFIG_PATH, [`could not be parsed: ${err.message}`]);
+  }
+}
+
+function applyEnvOverrides(config) {
+  const overridden = [];
+  for (const [name, configPath, parse = (value) => value] of ENV_OVERRIDES) {
+    if (env[name] === undefined || env[name] === "") continue;
+    setPath(config, configPath, parse(env[name]));
+    overridden.push(name);
+  }
+
+  if (env.FORUM_ROUTES) {
+    try {
+      config.routes = deepMerge(DEFAULT_CONFIG.routes, JSON.parse(env.FORUM_ROUTES));
+    } catch (err) {
+      throw new ConfigError("FORUM_ROUTES", [`could not be parsed: ${err.message}`]);
+    }
+    overridden.push("FORUM_ROUTES");
+  } else if (env.DISCORD_INPUT_FORUM_CHANNEL_ID && env.TARGET_REPO) {
+    // The single-forum setup from before forum routes existed
+    config.routes.forums = {
+      ...config.routes.forums,
+      [env.DISCORD_INPUT_FORUM_CHANNEL_ID]: {
+        ...(env.DISCORD_SERVER_ID ? { guildId: env.DISCORD_SERVER_ID } : {}),
+        defaultRepo: env.TARGET_REPO,
+      },
+    };
+    if (env.DISCORD_SERVER_ID && !config.routes.guilds[env.DISCORD_SERVER_ID]) {
+      config.routes.guilds = { ...config.routes.guilds, [env.DISCORD_SERVER_ID]: {} };
+    }
+    overridden.push("DISCORD_INPUT_FORUM_CHANNEL_ID", "TARGET_REPO");
+  }
+  return overridden;
+}
+
+function buildConfig() {
+  const fileConfig = readConfigFile();
+  const fileErrors = [];
+  validateValue(fileConfig, CONFIG_SCHEMA, "", fileErrors);
+  if (fileErrors.length > 0) throw new ConfigError(CONFIG_PATH, fileErrors);
+
+  const config = deepMerge(DEFAULT_CONFIG, fileConfig);
+  const overridden = applyEnvOverrides(config);
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    const source = overridden.length > 0 ? `${CONFIG_PATH} with environment overrides ${overridden.join(", ")}` : CONFIG_PATH;
+    throw new ConfigError(source, errors);
+  }
+  return { config, overridden };
+}
+
+// Throws ConfigError listing every problem found
+function loadConfig() {
+  const { config, overridden } = buildConfig();
+  activeConfig = config;
+  logEvent("info", "config.load", {
+    path: CONFIG_PATH,
+    fileFound: fs.existsSync(CONFIG_PATH),
+    envOverrides: overridden,
+    forums: Object.keys(config.routes.forums).length,
+  });
+  return activeConfig;
+}
+
+function getConfig() {
+  return activeConfig || loadConfig();
+}
+
+function reloadConfig() {
+  let next;
+  try {
+    next = buildConfig();
+  } catch (err) {
+    logEvent("error", "config.reload.invalid", { path: CONFIG_PATH, errors: err.errors || [err.message] });
+    return false;
+  }
+
+  activeConfig = next.config;
+  logEvent("info", "config.reload", { path: CONFIG_PATH, envOverrides: next.overridden });
+  return true;
+}
+
+function watchConfig() {
+  if (watching) return;
+  watching = true;
+  fs.watchFile(CONFIG_PATH, { interval: CONFIG_WATCH_INTERVAL_MS, persistent: false }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    reloadConfig();
+  });
+}
+
+module.exports = {
+  ConfigError,
+  THREAD_POLICIES,
+  getConfig,
+  loadConfig,
+  reloadConfig,
+  watchConfig,
+  validateConfig,
+};
@@ -0,0 +1,78 @@
+const { Events } = require("discord.js");
+const { env } = require("process");
+const { createDiscordClient, logEvent, formatError } = require("./utils.js");
+
+// The single gateway connection shared by the Discord event listeners and the
+// GitHub webhook handlers. Work that arrives before the client is ready waits
+// on readyPromise and runs, in arrival order, once the gateway is up.
+let client = null;
+let readyPromise = null;
+let pendingCount = 0;
+
+function getDiscordClient() {
+  if (client) return client;
+
+  client = createDiscordClient();
+  readyPromise = new Promise((resolve) => {
+    client.once(Events.ClientReady, () => {
+      logEvent("info", "discord.client.ready", {
+        user: client.user.tag,
+        pending: pendingCount,
+      });
+      resolve(client);
+    });
+  });
+
+  client.rest.on("rateLimited", (info) => {
+    logEvent("warn", "discord.rate_limited", {
+      timeout: info.timeout,
+      limit: info.limit,
+      method: info.method,
+      route: info.route,
+      global: info.global,
+    });
+  });
+
+  return client;
+}
+
+async function loginDiscordClient() {
+  const activeClient = getDiscordClient();
+  await activeClient.login(env.DISCORD_TOKEN);
+  return readyPromise;
+}
+
+function isDiscordClientReady() {
+  return Boolean(client?.isReady());
+}
+
+async function waitForDiscordClient() {
+  getDiscordClient();
+  if (client.isReady()) return client;
+
+  pendingCount += 1;
+  logEvent("info", "discord.client.waiting", { pending: pendingCount });
+  try {
+    return await readyPromise;
+  } finally {
+    pendingCount -= 1;
+  }
+}
+
+async function withDiscordClient(fn) {
+  const readyClient = await waitForDiscordClient();
+  try {
+    return await fn(readyClient);
+  } catch (err) {
+    logEvent("error", "discord.handler.error", { error: formatError(err) });
+    throw err;
+  }
+}
+
+module.exports = {
+  getDiscordClient,
+  loginDiscordClient,
+  isDiscordClientReady,
+  waitForDiscordClient,
+  withDiscordClient,
+};
@@ -0,0 +1,85 @@
+const { getConfig } = require("./config.js");
+
+// Which Discord forums the bridge serves and which repositories each one may
+// sync with, from the "routes" section of the config (or FORUM_ROUTES):
+//   {
+//     "guilds": { "<guildId>": { "defaultRepo": "owner/repo", "repos": ["owner/*"] } },
+//     "forums": { "<forumId>": { "guildId": "<guildId>", "defaultRepo": "owner/app", "repos": ["owner/app", "owner/shared"] } }
+//   }
+// A forum without its own defaultRepo/repos inherits them from its guild; a
+// route without repos accepts any repository the App can reach. The config
+// validates repo formats, so routes are only rebuilt when it is reloaded.
+let routes = null;
+let routesConfig = null;
+
+function parseRepo(value) {
+  const [owner, repo] = value.split("/");
+  return { owner, repo };
+}
+
+// Sync filters layer global ← guild ← forum, one rule key at a time
+function mergeFilters(...layers) {
+  return {
+    issues: Object.assign({}, ...layers.map((filters) => filters?.issues)),
+    discordPosts: Object.assign({}, ...layers.map((filters) => filters?.discordPosts)),
+  };
+}
+
+function buildRoutes(config, globalFilters = {}) {
+  const guilds = config.guilds || {};
+  return Object.entries(config.forums || {}).map(([forumId, forum]) => {
+    const guild = (forum.guildId && guilds[forum.guildId]) || {};
+    const defaultRepo = forum.defaultRepo || guild.defaultRepo;
+    const repos = forum.repos || guild.repos || null;
+    return {
+      forumId,
+      guildId: forum.guildId || null,
+      defaultRepo: parseRepo(defaultRepo),
+      repos: repos && repos.map(parseRepo),
+      filters: mergeFilters(globalFilters, guild.filters, forum.filters),
+    };
+  });
+}
+
+function getForumRoutes() {
+  const config = getConfig();
+  if (routesConfig !== config) {
+    routes = buildRoutes(config.routes, config.filters);
+    routesConfig = config;
+  }
+  return routes;
+}
+
+function getForumRoute(forumId) {
+  if (!forumId) return null;
+  return getForumRoutes().find((route) => route.forumId === forumId) || null;
+}
+
+function isRepoAllowed(route, owner, repo) {
+  if (!route) return false;
+  if (!route.repos) return true;
+  return route.repos.some(
+    (allowed) =>
+      allowed.owner.toLowerCase() === owner.toLowerCase() &&
+      (allowed.repo === "*" || allowed.repo.toLowerCase() === repo.toLowerCase())
+  );
+}
+
+// Forums that may hold threads for a repository; the forum whose default repo
+// it is comes first and is where new threads for its issues are opened
+function getForumsForRepo(owner, repo) {
+  const isDefault = (route) =>
+    route.defaultRepo.owner.toLowerCase() === owner.toLowerCase() &&
+    route.defaultRepo.repo.toLowerCase() === repo.toLowerCase();
+  const allowed = getForumRoutes().filter(
+    (route) => isDefault(route) || isRepoAllowed(route, owner, repo)
+  );
+  return [...allowed.filter(isDefault), ...allowed.filter((route) => !isDefault(route))];
+}
+
+module.exports = {
+  getForumRoutes,
+  getForumRoute,
+  isRepoAllowed,
+  getForumsForRepo,
+};
@@ -1,7 +1,8 @@
 const { env } = require("process");
-const { logEvent } = require("./utils.js");
+const { logEvent, formatError, parseBridgeMarker } = require("./utils.js");
 
 let app = null;
+let appIdentity = null;
 let webhooks = null;
 let AppClass = null;
 let WebhooksClass = null;
@@ -66,9 +67,62 @@ async function getInstallationOctokit(installationId) {
   return currentApp.getInstallationOctokit(installationId);
 }
 
+// The App's slug and bot account as GitHub knows them, so loop detection
+// works whatever name the App was registered under
+async function loadAppIdentity() {
+  if (appIdentity) return appIdentity;
+
+  const currentApp = await getApp();
+  const { data } = await currentApp.octokit.request("GET /app");
+  const botLogin = `${data.slug}[bot]`;
+
+  // App JWTs only reach /app endpoints; the bot user is public
+  let botUserId = null;
+  try {
+    const response = await fetch(`https://api.github.com/users/${encodeURIComponent(botLogin)}`, {
+      headers: { accept: "application/vnd.github+json" },
+    });
+    if (response.ok) botUserId = (await response.json()).id;
+  } catch (err) {
+    logEvent("warn", "github.app.bot_user.error", { botLogin, error: formatError(err) });
+  }
+
+  appIdentity = {
+    appId: data.id,
+    slug: data.slug,
+    name: data.name,
+    htmlUrl: data.html_url,
+    botLogin,
+    botUserId,
+  };
+  logEvent("info", "github.app.identity", appIdentity);
+  return appIdentity;
+}
+
+// Null until loadAppIdentity has succeeded
+function getAppIdentity() {
+  return appIdentity;
+}
+
+// Written by this App: posted as its bot account or through it. Anyone can
+// paste the marker the bridge adds to what it mirrors from Discord, so the
+// marker alone only counts until the App's identity has loaded.
+function isBridgeAuthored(item) {
+  const identity = appIdentity;
+  if (!identity) return Boolean(parseBridgeMarker(item.body));
+  return (
+    item.user?.login === identity.botLogin ||
+    Boolean(identity.botUserId && item.user?.id === identity.botUserId) ||
+    item.performed_via_github_app?.id === identity.appId
+  );
+}
+
 module.exports = {
   getApp,
   getWebhooks,
   getWebhookMiddleware,
   getInstallationOctokit,
+  loadAppIdentity,
+  getAppIdentity,
+  isBridgeAuthored,
 };
@@ -0,0 +1,160 @@
+const { env } = require("process");
+const { getApp, getInstallationOctokit } = require("./githubApp.js");
+const { logEvent, formatError } = require("./utils.js");
+
+// Maps every repository the App can reach to the installation that grants it,
+// so Discord → GitHub writes use the right org's token. Webhooks keep it warm
+// between full refreshes; a lookup miss triggers a (throttled) refresh.
+const INSTALLATION_REGISTRY_TTL_MS = 5 * 60 * 1000;
+const INSTALLATION_REFRESH_MIN_INTERVAL_MS = 30 * 1000;
+
+let repoIndex = new Map();
+let installations = new Map();
+let refreshedAt = 0;
+let refreshPromise = null;
+
+function getRepoKey(owner, repo) {
+  return `${owner}/${repo}`.toLowerCase();
+}
+
+async function listInstallationRepos(octokit) {
+  const repos = [];
+  let page = 1;
+  const perPage = 100;
+
+  while (true) {
+    const { data } = await octokit.request("GET /installation/repositories", {
+      per_page: perPage,
+      page,
+    });
+    const pageRepos = data.repositories || [];
+    repos.push(...pageRepos);
+    if (pageRepos.length < perPage) break;
+    if (data.total_count && repos.length >= data.total_count) break;
+    page += 1;
+  }
+
+  return repos;
+}
+
+async function loadInstallations() {
+  const app = await getApp();
+  const nextRepoIndex = new Map();
+  const nextInstallations = new Map();
+
+  for await (const { octokit, installation } of app.eachInstallation.iterator()) {
+    let repos = [];
+    try {
+      repos = await listInstallationRepos(octokit);
+    } catch (err) {
+      logEvent("error", "github.installation.repos.error", {
+        installationId: installation.id,
+        error: formatError(err),
+      });
+    }
+
+    nextInstallations.set(installation.id, {
+      installationId: installation.id,
+      account: installation.account?.login || null,
+      repoCount: repos.length,
+    });
+    for (const repository of repos) {
+      nextRepoIndex.set(getRepoKey(repository.owner.login, repository.name), {
+        installationId: installation.id,
+        repository,
+      });
+    }
+  }
+
+  repoIndex = nextRepoIndex;
+  installations = nextInstallations;
+  refreshedAt = Date.now();
+  logEvent("info", "github.installation.registry.refresh", {
+    installations: [...nextInstallations.values()],
+    repoCount: nextRepoIndex.size,
+  });
+}
+
+function refreshInstallations() {
+  if (!refreshPromise) {
+    refreshPromise = loadInstallations().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+}
+
+async function ensureFresh({ force = false } = {}) {
+  const age = Date.now() - refreshedAt;
+  const stale = age > INSTALLATION_REGISTRY_TTL_MS;
+  const canForce = age > INSTALLATION_REFRESH_MIN_INTERVAL_MS;
+  if (!stale && !(force && canForce)) return;
+
+  try {
+    await refreshInstallations();
+  } catch (err) {
+    logEvent("error", "github.installation.registry.error", { error: formatError(err) });
+  }
+}
+
+// Webhook payloads name both the repository and its installation
+function noteRepositoryInstallation(installationId, repository) {
+  if (!installationId || !repository?.owner?.login) return;
+  repoIndex.set(getRepoKey(repository.owner.login, repository.name), {
+    installationId,
+    repository,
+  });
+}
+
+// Installation or repository access changed; rebuild on the next lookup
+function invalidateInstallations() {
+  refreshedAt = 0;
+}
+
+async function getInstallationIdForRepo(owner, repo) {
+  await ensureFresh();
+  let entry = repoIndex.get(getRepoKey(owner, repo));
+  if (!entry) {
+    await ensureFresh({ force: true });
+    entry = repoIndex.get(getRepoKey(owner, repo));
+  }
+  if (entry) return entry.installationId;
+
+  // Single-installation setups may pin the installation explicitly
+  return env.GITHUB_INSTALLATION_ID || null;
+}
+
+async function getRepoOctokit(owner, repo) {
+  const installationId = await getInstallationIdForRepo(owner, repo);
+  if (!installationId) {
+    throw new Error(`No GitHub App installation has access to ${owner}/${repo}`);
+  }
+  return getInstallationOctokit(installationId);
+}
+
+// Repositories keyed by lowercase name, for resolving repo-selector forum
+// tags; a name present in several orgs resolves to preferredOwner's repo
+async function getRepoMapByName(preferredOwner, isAllowed = () => true) {
+  await ensureFresh();
+  const repoMap = new Map();
+  let repoCount = 0;
+  for (const { repository } of repoIndex.values()) {
+    if (!isAllowed(repository)) continue;
+    repoCount += 1;
+    const key = repository.name.toLowerCase();
+    const existing = repoMap.get(key);
+    if (!existing || repository.owner.login.toLowerCase() === preferredOwner?.toLowerCase()) {
+      repoMap.set(key, repository);
+    }
+  }
+  return { repoMap, repoCount };
+}
+
+module.exports = {
+  refreshInstallations,
+  noteRepositoryInstallation,
+  invalidateInstallations,
+  getInstallationIdForRepo,
+  getRepoOctokit,
+  getRepoMapByName,
+};
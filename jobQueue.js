@@ -0,0 +1,218 @@
+const { getStore } = require("./store.js");
+const { logEvent, formatError } = require("./logging.js");
+const { getConfig } = require("./config.js");
+
+// Every inbound GitHub delivery and Discord event becomes a row in the jobs
+// table before any work happens, so a crash or a failed API call never loses
+// it. Jobs sharing an ordering key (one issue or thread) run strictly one at a
+// time in arrival order; different keys run side by side. Concurrency and
+// attempts come from the "jobs" config section and follow reloads.
+const JOB_POLL_INTERVAL_MS = 1000;
+const JOB_BASE_DELAY_MS = 2000;
+const JOB_MAX_DELAY_MS = 15 * 60 * 1000;
+const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const jobHandlers = new Map();
+let running = 0;
+let pollTimer = null;
+let polling = false;
+let lastPurgeAt = 0;
+
+function registerJobHandler(type, handler) {
+  jobHandlers.set(type, handler);
+}
+
+function enqueueJob(type, orderingKey, payload) {
+  const id = getStore().enqueueJob(type, orderingKey, payload);
+  logEvent("info", "job.enqueue", { jobId: id, type, orderingKey });
+  schedulePoll(0);
+  return id;
+}
+
+function getHeader(err, name) {
+  const headers = err.response?.headers || err.headers || {};
+  return headers[name] ?? headers[name.toLowerCase()] ?? null;
+}
+
+function isSecondaryRateLimit(err) {
+  return (
+    (err.status === 403 || err.status === 429) &&
+    /secondary rate limit|abuse/i.test(err.message || "")
+  );
+}
+
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+  "ENOTFOUND",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+]);
+const NETWORK_ERROR_NAMES = new Set(["FetchError", "AbortError", "TimeoutError", "ConnectTimeoutError"]);
+
+// undici wraps socket failures in a "fetch failed" TypeError with the real
+// error as its cause, so the whole cause chain is checked
+function isNetworkError(err) {
+  for (let current = err, depth = 0; current && depth < 5; current = current.cause, depth += 1) {
+    const code = String(current.code || "");
+    if (NETWORK_ERROR_CODES.has(code) || code.startsWith("UND_ERR_")) return true;
+    if (NETWORK_ERROR_NAMES.has(current.name)) return true;
+  }
+  return false;
+}
+
+// Returns the delay before the next attempt, or null when retrying cannot help
+function getRetryDelay(err, attempts) {
+  const retryAfter = getHeader(err, "retry-after");
+  if (retryAfter && !Number.isNaN(Number(retryAfter))) {
+    return Number(retryAfter) * 1000;
+  }
+  // discord.js RateLimitError reports milliseconds directly
+  if (typeof err.retryAfter === "number") {
+    return err.retryAfter;
+  }
+
+  const rateLimitReset = getHeader(err, "x-ratelimit-reset");
+  const remaining = getHeader(err, "x-ratelimit-remaining");
+  if (rateLimitReset && String(remaining) === "0") {
+    return Math.max(Number(rateLimitReset) * 1000 - Date.now(), 0) + 1000;
+  }
+
+  const status = err.status ?? err.response?.status;
+  const retryable =
+    err.retryable === true ||
+    (status == null && isNetworkError(err)) ||
+    status === 408 ||
+    status === 429 ||
+    status >= 500 ||
+    isSecondaryRateLimit(err);
+  if (!retryable) return null;
+
+  // Secondary rate limits ask for at least a minute between retries
+  const base = isSecondaryRateLimit(err) ? 60 * 1000 : JOB_BASE_DELAY_MS;
+  const exponential = Math.min(base * 2 ** attempts, JOB_MAX_DELAY_MS);
+  return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+async function runJob(job) {
+  const handler = jobHandlers.get(job.type);
+  const store = getStore();
+
+  if (!handler) {
+    logEvent("error", "job.handler.missing", { jobId: job.id, type: job.type });
+    store.deadJob(job.id, `No handler registered for ${job.type}`);
+    return;
+  }
+
+  try {
+    await handler(job.payload, job);
+    store.completeJob(job.id);
+    logEvent("info", "job.complete", {
+      jobId: job.id,
+      type: job.type,
+      orderingKey: job.orderingKey,
+      attempts: job.attempts + 1,
+    });
+  } catch (err) {
+    const attempts = job.attempts + 1;
+    const delay = attempts < getConfig().jobs.maxAttempts ? getRetryDelay(err, job.attempts) : null;
+    const error = JSON.stringify(formatError(err));
+
+    if (delay === null) {
+      store.deadJob(job.id, error);
+      logEvent("error", "job.dead", {
+        jobId: job.id,
+        type: job.type,
+        orderingKey: job.orderingKey,
+        attempts,
+        error: formatError(err),
+      });
+      return;
+    }
+
+    store.retryJob(job.id, Date.now() + delay, error);
+    logEvent("warn", "job.retry", {
+      jobId: job.id,
+      type: job.type,
+      orderingKey: job.orderingKey,
+      attempts,
+      delayMs: Math.round(delay),
+      error: formatError(err),
+    });
+    schedulePoll(delay);
+  }
+}
+
+function purgeFinishedJobs() {
+  if (Date.now() - lastPurgeAt < 60 * 60 * 1000) return;
+  lastPurgeAt = Date.now();
+  const purged = getStore().purgeJobs(Date.now() - JOB_RETENTION_MS);
+  if (purged > 0) {
+    logEvent("info", "job.purge", { count: purged });
+  }
+}
+
+async function poll() {
+  if (polling) return;
+  polling = true;
+  try {
+    purgeFinishedJobs();
+    const capacity = getConfig().jobs.concurrency - running;
+    if (capacity <= 0) return;
+
+    const jobs = getStore().claimRunnableJobs(capacity);
+    for (const job of jobs) {
+      running += 1;
+      runJob(job).finally(() => {
+        running -= 1;
+        schedulePoll(0);
+      });
+    }
+  } catch (err) {
+    logEvent("error", "job.poll.error", { error: formatError(err) });
+  } finally {
+    polling = false;
+  }
+}
+
+function schedulePoll(delay) {
+  if (!pollTimer) return;
+  setTimeout(poll, Math.min(delay, JOB_POLL_INTERVAL_MS));
+}
+
+function startJobQueue() {
+  if (pollTimer) return;
+  const store = getStore();
+  const recovered = store.resetRunningJobs();
+  logEvent("info", "job.queue.start", {
+    concurrency: getConfig().jobs.concurrency,
+    maxAttempts: getConfig().jobs.maxAttempts,
+    recovered,
+    counts: store.countJobs(),
+  });
+  pollTimer = setInterval(poll, JOB_POLL_INTERVAL_MS);
+  schedulePoll(0);
+}
+
+function listDeadJobs(limit = 100) {
+  return getStore().listJobs("dead", limit);
+}
+
+function replayJob(id) {
+  const replayed = getStore().replayJob(id);
+  logEvent("info", "job.replay", { jobId: id, replayed });
+  if (replayed) schedulePoll(0);
+  return replayed;
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  startJobQueue,
+  listDeadJobs,
+  replayJob,
+};
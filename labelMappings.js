@@ -0,0 +1,74 @@
+const { getConfig } = require("./config.js");
+
+// GitHub labels ⇄ Discord forum tags, from the "labels" section of the config:
+//   "labels": {
+//     "type: bug": { "tag": "Bug", "emoji": "🐛", "color": "d73a4a",
+//                    "description": "Something isn't working", "aliases": ["bug", "kind/bug"],
+//                    "priority": 10 }
+//   }
+// Every alias label maps onto the same tag; a tag maps back to the entry's
+// own (canonical) label. Labels without an entry sync as a tag of the same name.
+let mappings = null;
+let mappingsConfig = null;
+
+function buildMappings(labels) {
+  const byLabel = new Map();
+  const byTag = new Map();
+  for (const [label, entry] of Object.entries(labels)) {
+    const mapping = {
+      label,
+      tag: entry.tag || label,
+      emoji: entry.emoji || null,
+      color: entry.color ? entry.color.replace(/^#/, "").toLowerCase() : null,
+      description: entry.description || null,
+      aliases: entry.aliases || [],
+      priority: entry.priority ?? 0,
+    };
+    for (const name of [label, ...mapping.aliases]) {
+      byLabel.set(name.toLowerCase(), mapping);
+    }
+    byTag.set(mapping.tag.toLowerCase(), mapping);
+  }
+  return { byLabel, byTag };
+}
+
+function getMappings() {
+  const config = getConfig();
+  if (mappingsConfig !== config) {
+    mappings = buildMappings(config.labels);
+    mappingsConfig = config;
+  }
+  return mappings;
+}
+
+function getLabelMapping(labelName) {
+  if (!labelName) return null;
+  return getMappings().byLabel.get(labelName.toLowerCase()) || null;
+}
+
+function getTagMapping(tagName) {
+  if (!tagName) return null;
+  return getMappings().byTag.get(tagName.toLowerCase()) || null;
+}
+
+function getTagNameForLabel(labelName) {
+  return getLabelMapping(labelName)?.tag || labelName;
+}
+
+function getLabelForTagName(tagName) {
+  return getTagMapping(tagName)?.label || tagName;
+}
+
+// The canonical label and its aliases, any of which may stand for the tag on an issue
+function getLabelsForTagName(tagName) {
+  const mapping = getTagMapping(tagName);
+  return mapping ? [mapping.label, ...mapping.aliases] : [tagName];
+}
+
+module.exports = {
+  getLabelMapping,
+  getTagMapping,
+  getTagNameForLabel,
+  getLabelForTagName,
+  getLabelsForTagName,
+};
@@ -0,0 +1,28 @@
+function logEvent(level, event, meta = {}) {
+  const payload = { time: new Date().toISOString(), level, event, ...meta };
+  const output = JSON.stringify(payload);
+  if (level === "error") {
+    console.error(output);
+  } else if (level === "warn") {
+    console.warn(output);
+  } else {
+    console.log(output);
+  }
+}
+
+function formatError(err) {
+  if (!err) return null;
+  return {
+    name: err.name,
+    message: err.message,
+    status: err.status,
+    stack: err.stack,
+    requestUrl: err.request?.url,
+    responseStatus: err.response?.status,
+  };
+}
+
+module.exports = {
+  logEvent,
+  formatError,
+};
@@ -1,21 +1,46 @@
-const { Events } = require("discord.js");
-const { env } = require("process");
+const { withDiscordClient } = require("./discordClient.js");
+const { withIssueLock } = require("./syncLock.js");
+const { isBridgeAuthored } = require("./githubApp.js");
+const { getForumsForRepo } = require("./forumRoutes.js");
+const { getRepoOctokit } = require("./installationRegistry.js");
+const { getForumsForIssue, requiresLabel } = require("./syncFilters.js");
+const { checkRepositoryExposure, isConfidentialLabel } = require("./safety.js");
+const { getConfig } = require("./config.js");
+const { setThreadTags } = require("./tagBudget.js");
 const {
-  createDiscordClient,
   createSyncEmbed,
+  fitEmbedDescription,
+  createSyncStatusFields,
+  updateSyncEmbed,
+  findSyncMessage,
+  formatSyncLine,
+  markThreadUnsynced,
+  formatUnsyncedLine,
+  splitDiscordAuthorComment,
   createCommentEmbed,
   processGitHubIssueRefs,
   hasSyncLabel,
   isSyncLabel,
   isClosedTag,
-  SYNC_LABEL,
-  CLOSED_TAG_NAME,
-  sleep,
+  getSyncLabel,
+  getClosedTagName,
+  getTagLimits,
   findThreadsForIssue,
   getOrCreateForumTag,
+  markReleaseTag,
   getOrCreateClosedForumTag,
-  REPO_TAG_EMOJI,
+  resolveLabelTags,
+  applyThreadLabelTags,
+  getOverflowLabels,
+  getRepoTagEmoji,
+  getThreadCacheEntry,
   setThreadCacheEntry,
+  deleteThreadCacheEntry,
+  getCommentEmbedLinks,
+  addCommentEmbedLink,
+  deleteCommentEmbedLinks,
+  markIssueSynced,
+  sendThreadNotice,
   logEvent,
   formatError,
 } = require("./utils.js");
@@ -32,56 +57,205 @@ function getRepoInfo(repository) {
 }
 
 function isIgnoredComment(comment) {
-  return (
-    comment.user.login === "Discord-Github-Bridge" ||
-    comment.body.includes("** on Discord says]")
-  );
+  return isBridgeAuthored(comment);
 }
 
-async function withDiscordClient(fn) {
-  const client = createDiscordClient();
+async function fetchLinkedPullRequests(octokit, owner, repo, issueNumber) {
+  if (!octokit) return [];
 
-  return new Promise((resolve, reject) => {
-    client.login(env.DISCORD_TOKEN).catch((err) => {
-      logEvent("error", "discord.login.failed", { error: formatError(err) });
-      client.destroy();
-      reject(err);
-    });
+  const pullRequests = new Map();
+  let page = 1;
+  const perPage = 100;
 
-    client.once(Events.ClientReady, async () => {
-      client.rest.on("rateLimited", (info) => {
-        logEvent("warn", "discord.rate_limited", {
-          timeout: info.timeout,
-          limit: info.limit,
-          method: info.method,
-          route: info.route,
-          global: info.global,
+  try {
+    while (true) {
+      const { data: events } = await octokit.request(
+        "GET /repos/{owner}/{repo}/issues/{issue_number}/timeline",
+        {
+          owner,
+          repo,
+          issue_number: issueNumber,
+          per_page: perPage,
+          page,
+        }
+      );
+      for (const event of events) {
+        const source = event.source?.issue;
+        if (event.event !== "cross-referenced" || !source?.pull_request) continue;
+        pullRequests.set(source.html_url, {
+          number: source.number,
+          title: source.title,
+          url: source.html_url,
+          state: source.pull_request.merged_at ? "merged" : source.state,
+          draft: Boolean(source.draft),
         });
+      }
+      if (events.length < perPage) break;
+      page += 1;
+    }
+  } catch (err) {
+    logEvent("warn", "github.issue.timeline.error", {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      error: formatError(err),
+    });
+  }
+
+  return [...pullRequests.values()];
+}
+
+async function refreshSyncEmbeds(
+  client,
+  octokit,
+  threads,
+  issue,
+  owner,
+  repo,
+  { description, pullRequests = [] } = {}
+) {
+  if (threads.length === 0) return;
+
+  // Pull requests known from the triggering event win over possibly stale timeline data
+  const linkedPullRequests = new Map(
+    (await fetchLinkedPullRequests(octokit, owner, repo, issue.number)).map((pr) => [pr.url, pr])
+  );
+  for (const pr of pullRequests) {
+    linkedPullRequests.set(pr.url, pr);
+  }
+  for (const thread of threads) {
+    const overflow = getOverflowLabels(await getThreadForum(client, thread), thread, issue, repo);
+    const fields = createSyncStatusFields(issue, [...linkedPullRequests.values()], overflow);
+    const syncMessage = await findSyncMessage(thread, issue.number);
+    if (!syncMessage || syncMessage.author.id !== client.user.id) {
+      logEvent("warn", "discord.sync_embed.missing", {
+        repo: `${owner}/${repo}`,
+        issueNumber: issue.number,
+        threadId: thread.id,
       });
+      continue;
+    }
 
-      try {
-        await fn(client);
-        resolve();
-      } catch (err) {
-        logEvent("error", "discord.handler.error", { error: formatError(err) });
-        reject(err);
-      } finally {
-        client.destroy();
+    await syncMessage.edit(updateSyncEmbed(syncMessage, issue, fields, description));
+    logEvent("info", "discord.sync_embed.refresh", {
+      repo: `${owner}/${repo}`,
+      issueNumber: issue.number,
+      threadId: thread.id,
+      messageId: syncMessage.id,
+    });
+  }
+}
+
+// Threads of one issue may sit in different forums, and tags belong to a forum
+function getThreadForum(client, thread) {
+  return client.channels.fetch(thread.parentId);
+}
+
+// Whether an unsynced issue may get a thread: a forum must be routed to its
+// repository and accept the issue through its sync filters
+function canBridgeIssue(issue, owner, repo, installationId) {
+  const meta = { repo: `${owner}/${repo}`, issueNumber: issue.number, installationId };
+  if (getForumsForRepo(owner, repo).length === 0) {
+    logEvent("info", "github.issue.unrouted", meta);
+    return false;
+  }
+
+  const { accepted, rejected } = getForumsForIssue(issue, owner, repo);
+  if (accepted.length === 0) {
+    logEvent("info", "github.issue.filtered", { ...meta, rejected });
+    return false;
+  }
+  return true;
+}
+
+// Takes back what the bridge mirrored into the issue's threads: the link is
+// dropped first (so locking cannot trigger a thread lifecycle policy), every
+// bridge message but a bridge-authored starter is deleted, the starter is
+// replaced by a notice and the thread is locked
+async function retractThreads(client, threads, issue, owner, repo, reason, installationId) {
+  await deleteThreadCacheEntry(owner, repo, issue.number);
+
+  const notice = {
+    title: "Content retracted",
+    description: `#${issue.number} ${reason}. Everything the bridge mirrored from GitHub has been removed and this thread is no longer synced.`,
+    color: 0x6e7681,
+  };
+
+  for (const thread of threads) {
+    let deleted = 0;
+    let before;
+    while (true) {
+      const batch = await thread.messages.fetch({ limit: 100, ...(before ? { before } : {}) });
+      for (const message of batch.values()) {
+        if (message.author.id !== client.user.id || message.id === thread.id) continue;
+        await message.delete();
+        deleted += 1;
       }
+      if (batch.size < 100) break;
+      before = batch.last().id;
+    }
+
+    // Threads opened from GitHub carry the issue in their starter and name
+    const starter = await thread.fetchStarterMessage().catch(() => null);
+    if (starter?.author.id === client.user.id) {
+      await starter.edit({ content: formatUnsyncedLine(issue.number, issue.html_url, reason), embeds: [notice] });
+      await thread.setName(`Retracted issue #${issue.number}`);
+    } else {
+      await thread.send({ embeds: [notice] });
+    }
+    if (!thread.locked) await thread.setLocked(true, reason);
+
+    logEvent("info", "discord.thread.retract", {
+      repo: `${owner}/${repo}`,
+      issueNumber: issue.number,
+      threadId: thread.id,
+      deleted,
+      reason,
+      installationId,
     });
+  }
+}
+
+async function bridgeIssue(client, octokit, issue, owner, repo, installationId) {
+  await octokit.request("POST /repos/{owner}/{repo}/issues/{issue_number}/labels", {
+    owner,
+    repo,
+    issue_number: issue.number,
+    labels: [getSyncLabel()],
+  });
+  logEvent("info", "github.issue.label.added", {
+    repo: `${owner}/${repo}`,
+    issueNumber: issue.number,
+    label: getSyncLabel(),
+    installationId,
   });
+
+  await createDiscordThread(client, octokit, issue, owner, repo);
 }
 
-async function createDiscordThread(client, issue, owner, repoName) {
-  const channel = await client.channels.fetch(env.DISCORD_INPUT_FORUM_CHANNEL_ID);
+// New threads open in the first forum routed to the issue's repository that
+// accepts it
+async function createDiscordThread(client, octokit, issue, owner, repoName) {
+  const [route] = getForumsForIssue(issue, owner, repoName).accepted;
+  const channel = await client.channels.fetch(route.forumId);
 
   await getOrCreateClosedForumTag(channel);
 
   logEvent("info", "discord.thread.create", {
     issueNumber: issue.number,
     repo: `${owner}/${repoName}`,
+    forumId: route.forumId,
   });
 
+  const tagIds = [];
+
+  // Add repo tag first (just repo name, no org)
+  const repoTag = await getOrCreateForumTag(channel, repoName, getRepoTagEmoji());
+  if (repoTag) tagIds.push(repoTag.id);
+
+  // Label tags fill the remaining slots by priority; the rest show in the embed
+  const labelTags = await resolveLabelTags(channel, issue, repoName, getTagLimits().perThread - tagIds.length);
+  tagIds.push(...labelTags.tagIds);
+
   const syncMessage = createSyncEmbed(
     issue.number,
     issue.title,
@@ -92,24 +266,13 @@ async function createDiscordThread(client, issue, owner, repoName) {
       iconUrl: issue.user.avatar_url,
       url: issue.user.html_url,
     },
-    repoName
-  );
-
-  const tagIds = [];
-
-  // Add repo tag first (just repo name, no org)
-  const repoTag = await getOrCreateForumTag(channel, repoName, REPO_TAG_EMOJI);
-  if (repoTag) tagIds.push(repoTag.id);
-
-  // Add label tags
-  const labels = (issue.labels || []).filter(
-    (l) => !isSyncLabel(l.name) && !isClosedTag({ name: l.name })
+    repoName,
+    createSyncStatusFields(
+      issue,
+      await fetchLinkedPullRequests(octokit, owner, repoName, issue.number),
+      labelTags.overflow
+    )
   );
-  for (const label of labels) {
-    if (tagIds.length >= 5) break;
-    const tag = await getOrCreateForumTag(channel, label.name);
-    if (tag && !tagIds.includes(tag.id)) tagIds.push(tag.id);
-  }
 
   const thread = await channel.threads.create({
     name: issue.title,
@@ -117,14 +280,16 @@ async function createDiscordThread(client, issue, owner, repoName) {
     appliedTags: tagIds,
   });
 
-  const starterMessage = await thread.fetchStarterMessage();
-  await starterMessage.pin();
-
+  // Record the link before anything else can fail so a retried job finds this thread
   await setThreadCacheEntry(owner, repoName, issue.number, {
     threadId: thread.id,
     title: issue.title,
+    syncMessageId: thread.id,
   });
 
+  const starterMessage = await thread.fetchStarterMessage();
+  await starterMessage.pin();
+
   return thread;
 }
 
@@ -175,21 +340,10 @@ async function handleIssueComment({ octokit, payload, installationId }) {
   }
 
   await withDiscordClient(async (client) => {
-    if (!hasSyncLabel(issue)) {
-      await octokit.request("POST /repos/{owner}/{repo}/issues/{issue_number}/labels", {
-        owner,
-        repo,
-        issue_number: issue.number,
-        labels: [SYNC_LABEL],
-      });
-      logEvent("info", "github.issue.label.added", {
-        repo: fullName,
-        issueNumber: issue.number,
-        label: SYNC_LABEL,
-        installationId,
-      });
-      await createDiscordThread(client, issue, owner, repo);
-      await sleep(2000);
+    const unsynced = !hasSyncLabel(issue) && !(await getThreadCacheEntry(owner, repo, issue.number));
+    if (unsynced && !canBridgeIssue(issue, owner, repo, installationId)) return;
+    if (unsynced) {
+      await bridgeIssue(client, octokit, issue, owner, repo, installationId);
     }
 
     logEvent("info", "discord.comment.sync.start", {
@@ -200,7 +354,6 @@ async function handleIssueComment({ octokit, payload, installationId }) {
 
     const threads = await findThreadsForIssue(
       client,
-      env.DISCORD_INPUT_FORUM_CHANNEL_ID,
       issue.number,
       owner,
       repo,
@@ -225,7 +378,6 @@ async function handleIssueComment({ octokit, payload, installationId }) {
 
     const processedBody = await processGitHubIssueRefs(
       client,
-      env.DISCORD_INPUT_FORUM_CHANNEL_ID,
       comment.body,
       owner,
       repo,
@@ -239,16 +391,26 @@ async function handleIssueComment({ octokit, payload, installationId }) {
       installationId,
     });
 
+    // Threads already holding this comment (from an earlier attempt of this job) are skipped
+    const postedLinks = await getCommentEmbedLinks(comment.id);
+
     for (const thread of threads) {
+      if (postedLinks.some((link) => link.threadId === thread.id)) continue;
       logEvent("info", "discord.comment.sync", {
         repo: fullName,
         issueNumber: issue.number,
         threadId: thread.id,
         installationId,
       });
-      await thread.send(createCommentEmbed(comment, processedBody));
+      const sentMessage = await thread.send(createCommentEmbed(comment, processedBody));
+      await addCommentEmbedLink(comment.id, {
+        threadId: thread.id,
+        messageId: sentMessage.id,
+      });
     }
 
+    await markIssueSynced(owner, repo, issue.number, "github");
+
     logEvent("info", "discord.comment.sync.complete", {
       repo: fullName,
       issueNumber: issue.number,
@@ -258,53 +420,150 @@ async function handleIssueComment({ octokit, payload, installationId }) {
   });
 }
 
-async function handleIssueOpened({ octokit, payload, installationId }) {
+async function handleIssueCommentEdited({ payload, installationId }) {
   const { owner, repo, fullName } = getRepoInfo(payload.repository);
   const issue = payload.issue;
+  const comment = payload.comment;
 
-  logEvent("info", "github.issue.opened", {
+  logEvent("info", "github.issue_comment.edited", {
     repo: fullName,
     issueNumber: issue.number,
+    commentId: comment.id,
     installationId,
   });
 
-  if (!octokit) {
-    logEvent("error", "github.octokit.missing", {
-      repo: fullName,
-      installationId,
-      event: "issues.opened",
-    });
+  if (isIgnoredComment(comment)) {
     return;
   }
 
-  if (hasSyncLabel(issue)) {
-    logEvent("info", "github.issue.already_synced", {
+  const links = await getCommentEmbedLinks(comment.id);
+  if (links.length === 0) {
+    logEvent("info", "discord.comment.unlinked", {
       repo: fullName,
       issueNumber: issue.number,
+      commentId: comment.id,
       installationId,
     });
     return;
   }
 
   await withDiscordClient(async (client) => {
-    await octokit.request("POST /repos/{owner}/{repo}/issues/{issue_number}/labels", {
+    const processedBody = await processGitHubIssueRefs(
+      client,
+      comment.body,
       owner,
       repo,
-      issue_number: issue.number,
-      labels: [SYNC_LABEL],
+      issue.title
+    );
+
+    for (const link of links) {
+      try {
+        const thread = await client.channels.fetch(link.threadId);
+        const message = await thread.messages.fetch(link.messageId);
+        await message.edit(createCommentEmbed(comment, processedBody));
+        logEvent("info", "discord.comment.update", {
+          repo: fullName,
+          issueNumber: issue.number,
+          commentId: comment.id,
+          threadId: link.threadId,
+          messageId: link.messageId,
+          installationId,
+        });
+      } catch (err) {
+        logEvent("warn", "discord.comment.update.error", {
+          repo: fullName,
+          issueNumber: issue.number,
+          commentId: comment.id,
+          threadId: link.threadId,
+          messageId: link.messageId,
+          error: formatError(err),
+          installationId,
+        });
+      }
+    }
+  });
+}
+
+async function handleIssueCommentDeleted({ payload, installationId }) {
+  const { fullName } = getRepoInfo(payload.repository);
+  const issue = payload.issue;
+  const comment = payload.comment;
+
+  logEvent("info", "github.issue_comment.deleted", {
+    repo: fullName,
+    issueNumber: issue.number,
+    commentId: comment.id,
+    installationId,
+  });
+
+  const links = await getCommentEmbedLinks(comment.id);
+  if (links.length === 0) {
+    return;
+  }
+
+  await withDiscordClient(async (client) => {
+    for (const link of links) {
+      try {
+        const thread = await client.channels.fetch(link.threadId);
+        await thread.messages.delete(link.messageId);
+        logEvent("info", "discord.comment.delete", {
+          repo: fullName,
+          issueNumber: issue.number,
+          commentId: comment.id,
+          threadId: link.threadId,
+          messageId: link.messageId,
+          installationId,
+        });
+      } catch (err) {
+        // Already gone on Discord is as good as deleted
+        if (err.code !== 10008 && err.code !== 10003) {
+          throw err;
+        }
+      }
+    }
+  });
+
+  await deleteCommentEmbedLinks(comment.id);
+}
+
+async function handleIssueOpened({ octokit, payload, installationId }) {
+  const { owner, repo, fullName } = getRepoInfo(payload.repository);
+  const issue = payload.issue;
+
+  logEvent("info", "github.issue.opened", {
+    repo: fullName,
+    issueNumber: issue.number,
+    installationId,
+  });
+
+  if (!octokit) {
+    logEvent("error", "github.octokit.missing", {
+      repo: fullName,
+      installationId,
+      event: "issues.opened",
     });
-    logEvent("info", "github.issue.label.added", {
+    return;
+  }
+
+  if (!canBridgeIssue(issue, owner, repo, installationId)) return;
+
+  if (
+    hasSyncLabel(issue) ||
+    isBridgeAuthored(issue) ||
+    (await getThreadCacheEntry(owner, repo, issue.number))
+  ) {
+    logEvent("info", "github.issue.already_synced", {
       repo: fullName,
       issueNumber: issue.number,
-      label: SYNC_LABEL,
       installationId,
     });
+    return;
+  }
 
-    await createDiscordThread(client, issue, owner, repo);
-  });
+  await withDiscordClient((client) => bridgeIssue(client, octokit, issue, owner, repo, installationId));
 }
 
-async function handleIssueClosed({ payload, installationId }) {
+async function handleIssueClosed({ octokit, payload, installationId, deliveryId }) {
   const { owner, repo, fullName } = getRepoInfo(payload.repository);
   const issue = payload.issue;
 
@@ -317,15 +576,12 @@ async function handleIssueClosed({ payload, installationId }) {
   await withDiscordClient(async (client) => {
     const threads = await findThreadsForIssue(
       client,
-      env.DISCORD_INPUT_FORUM_CHANNEL_ID,
       issue.number,
       owner,
       repo,
       issue.title
     );
 
-    const forum = await client.channels.fetch(env.DISCORD_INPUT_FORUM_CHANNEL_ID);
-    const closedTag = await getOrCreateClosedForumTag(forum);
     const closeEmbed = createIssueStatusEmbed(issue, "closed", payload.sender?.login);
 
     for (const thread of threads) {
@@ -335,33 +591,25 @@ async function handleIssueClosed({ payload, installationId }) {
         threadId: thread.id,
         installationId,
       });
-      await thread.send(closeEmbed);
+      await sendThreadNotice(thread, deliveryId, `closed:${fullName}#${issue.number}`, closeEmbed);
 
-      if (closedTag) {
-        const currentTags = thread.appliedTags || [];
-        if (!currentTags.includes(closedTag.id)) {
-          if (currentTags.length >= 5) {
-            logEvent("warn", "discord.thread.tag.limit", {
-              repo: fullName,
-              issueNumber: issue.number,
-              threadId: thread.id,
-              label: CLOSED_TAG_NAME,
-              installationId,
-            });
-          } else {
-            await thread.setAppliedTags([...currentTags, closedTag.id]);
-            logEvent("info", "discord.thread.tag.add", {
-              repo: fullName,
-              issueNumber: issue.number,
-              threadId: thread.id,
-              label: CLOSED_TAG_NAME,
-              installationId,
-            });
-          }
-        }
+      // The closed tag outranks labels and pushes the lowest-priority one out
+      const forum = await getThreadForum(client, thread);
+      const closedTag = await getOrCreateClosedForumTag(forum);
+      if (closedTag && !(thread.appliedTags || []).includes(closedTag.id)) {
+        await applyThreadLabelTags(forum, thread, issue, repo, { pin: [closedTag.id] });
+        logEvent("info", "discord.thread.tag.add", {
+          repo: fullName,
+          issueNumber: issue.number,
+          threadId: thread.id,
+          label: getClosedTagName(),
+          installationId,
+        });
       }
     }
 
+    await refreshSyncEmbeds(client, octokit, threads, issue, owner, repo);
+
     logEvent("info", "discord.thread.close.complete", {
       repo: fullName,
       issueNumber: issue.number,
@@ -371,7 +619,7 @@ async function handleIssueClosed({ payload, installationId }) {
   });
 }
 
-async function handleIssueReopened({ payload, installationId }) {
+async function handleIssueReopened({ octokit, payload, installationId, deliveryId }) {
   const { owner, repo, fullName } = getRepoInfo(payload.repository);
   const issue = payload.issue;
 
@@ -384,15 +632,12 @@ async function handleIssueReopened({ payload, installationId }) {
   await withDiscordClient(async (client) => {
     const threads = await findThreadsForIssue(
       client,
-      env.DISCORD_INPUT_FORUM_CHANNEL_ID,
       issue.number,
       owner,
       repo,
       issue.title
     );
 
-    const forum = await client.channels.fetch(env.DISCORD_INPUT_FORUM_CHANNEL_ID);
-    const closedTag = await getOrCreateClosedForumTag(forum);
     const reopenEmbed = createIssueStatusEmbed(issue, "reopened", payload.sender?.login);
 
     for (const thread of threads) {
@@ -402,23 +647,25 @@ async function handleIssueReopened({ payload, installationId }) {
         threadId: thread.id,
         installationId,
       });
-      await thread.send(reopenEmbed);
-
-      if (closedTag) {
-        const currentTags = thread.appliedTags || [];
-        if (currentTags.includes(closedTag.id)) {
-          await thread.setAppliedTags(currentTags.filter((id) => id !== closedTag.id));
-          logEvent("info", "discord.thread.tag.remove", {
-            repo: fullName,
-            issueNumber: issue.number,
-            threadId: thread.id,
-            label: CLOSED_TAG_NAME,
-            installationId,
-          });
-        }
+      await sendThreadNotice(thread, deliveryId, `reopened:${fullName}#${issue.number}`, reopenEmbed);
+
+      // The freed slot goes to the best label left without a tag
+      const forum = await getThreadForum(client, thread);
+      const closedTag = await getOrCreateClosedForumTag(forum);
+      if (closedTag && (thread.appliedTags || []).includes(closedTag.id)) {
+        await applyThreadLabelTags(forum, thread, issue, repo, { unpin: [closedTag.id] });
+        logEvent("info", "discord.thread.tag.remove", {
+          repo: fullName,
+          issueNumber: issue.number,
+          threadId: thread.id,
+          label: getClosedTagName(),
+          installationId,
+        });
       }
     }
 
+    await refreshSyncEmbeds(client, octokit, threads, issue, owner, repo);
+
     logEvent("info", "discord.thread.reopen.complete", {
       repo: fullName,
       issueNumber: issue.number,
@@ -428,25 +675,30 @@ async function handleIssueReopened({ payload, installationId }) {
   });
 }
 
-async function handleIssueEdited({ payload, installationId }) {
+async function handleIssueEdited({ octokit, payload, installationId }) {
   const { owner, repo, fullName } = getRepoInfo(payload.repository);
   const issue = payload.issue;
   const titleChange = payload.changes?.title;
+  const bodyChange = payload.changes?.body;
 
-  if (!titleChange || !titleChange.from) {
+  if (!titleChange?.from && !bodyChange) {
     return;
   }
 
   logEvent("info", "github.issue.edited", {
     repo: fullName,
     issueNumber: issue.number,
+    titleChanged: Boolean(titleChange?.from),
+    bodyChanged: Boolean(bodyChange),
     installationId,
   });
 
+  // Issues opened from Discord carry an author header the starter embed doesn't show
+  const description = bodyChange ? splitDiscordAuthorComment(issue.body).content : undefined;
+
   await withDiscordClient(async (client) => {
     const threads = await findThreadsForIssue(
       client,
-      env.DISCORD_INPUT_FORUM_CHANNEL_ID,
       issue.number,
       owner,
       repo,
@@ -470,10 +722,12 @@ async function handleIssueEdited({ payload, installationId }) {
         });
       }
     }
+
+    await refreshSyncEmbeds(client, octokit, threads, issue, owner, repo, { description });
   });
 }
 
-async function handleIssueLabeled({ payload, installationId }) {
+async function handleIssueLabeled({ octokit, payload, installationId }) {
   const { owner, repo, fullName } = getRepoInfo(payload.repository);
   const issue = payload.issue;
   const label = payload.label;
@@ -485,6 +739,14 @@ async function handleIssueLabeled({ payload, installationId }) {
     installationId,
   });
 
+  if (isConfidentialLabel(label.name)) {
+    await withDiscordClient(async (client) => {
+      const threads = await findThreadsForIssue(client, issue.number, owner, repo, issue.title);
+      await retractThreads(client, threads, issue, owner, repo, `was marked ${label.name} on GitHub`, installationId);
+    });
+    return;
+  }
+
   // Skip sync label, repo name tags, and closed tag
   if (isSyncLabel(label.name) || label.name === repo || isClosedTag({ name: label.name })) {
     return;
@@ -493,7 +755,6 @@ async function handleIssueLabeled({ payload, installationId }) {
   await withDiscordClient(async (client) => {
     const threads = await findThreadsForIssue(
       client,
-      env.DISCORD_INPUT_FORUM_CHANNEL_ID,
       issue.number,
       owner,
       repo,
@@ -501,6 +762,11 @@ async function handleIssueLabeled({ payload, installationId }) {
     );
 
     if (threads.length === 0) {
+      // The label may be the one a forum's filter waits for
+      if (isNewlyBridgeable(issue, owner, repo, label.name) && canBridgeIssue(issue, owner, repo, installationId)) {
+        await bridgeIssue(client, octokit, issue, owner, repo, installationId);
+        return;
+      }
       logEvent("info", "discord.thread.missing", {
         repo: fullName,
         issueNumber: issue.number,
@@ -509,40 +775,37 @@ async function handleIssueLabeled({ payload, installationId }) {
       return;
     }
 
-    const forum = await client.channels.fetch(env.DISCORD_INPUT_FORUM_CHANNEL_ID);
-    const tag = await getOrCreateForumTag(forum, label.name);
-
-    if (!tag) {
-      return;
-    }
-
     for (const thread of threads) {
-      const currentTags = thread.appliedTags || [];
-      if (!currentTags.includes(tag.id)) {
-        if (currentTags.length >= 5) {
-          logEvent("warn", "discord.thread.tag.limit", {
-            repo: fullName,
-            issueNumber: issue.number,
-            threadId: thread.id,
-            label: label.name,
-            installationId,
-          });
-          continue;
-        }
-        logEvent("info", "discord.thread.tag.add", {
-          repo: fullName,
-          issueNumber: issue.number,
-          threadId: thread.id,
-          label: label.name,
-          installationId,
-        });
-        await thread.setAppliedTags([...currentTags, tag.id]);
+      const overflow = await applyThreadLabelTags(await getThreadForum(client, thread), thread, issue, repo);
+      const meta = {
+        repo: fullName,
+        issueNumber: issue.number,
+        threadId: thread.id,
+        label: label.name,
+        installationId,
+      };
+      if (overflow.includes(label.name)) {
+        logEvent("warn", "discord.thread.tag.limit", { ...meta, overflow });
+      } else {
+        logEvent("info", "discord.thread.tag.add", meta);
       }
     }
+
+    // After the tags so the embed lists labels that did not fit
+    await refreshSyncEmbeds(client, octokit, threads, issue, owner, repo);
   });
 }
 
-async function handleIssueUnlabeled({ payload, installationId }) {
+// An unsynced issue is bridged on labelling only when the label is one an
+// accepting forum's issue filter requires, not for any label on old issues
+function isNewlyBridgeable(issue, owner, repo, labelName) {
+  if (hasSyncLabel(issue) || isBridgeAuthored(issue)) return false;
+  return getForumsForIssue(issue, owner, repo).accepted.some((route) =>
+    requiresLabel(route.filters.issues, labelName)
+  );
+}
+
+async function handleIssueUnlabeled({ octokit, payload, installationId }) {
   const { owner, repo, fullName } = getRepoInfo(payload.repository);
   const issue = payload.issue;
   const label = payload.label;
@@ -562,7 +825,6 @@ async function handleIssueUnlabeled({ payload, installationId }) {
   await withDiscordClient(async (client) => {
     const threads = await findThreadsForIssue(
       client,
-      env.DISCORD_INPUT_FORUM_CHANNEL_ID,
       issue.number,
       owner,
       repo,
@@ -573,32 +835,25 @@ async function handleIssueUnlabeled({ payload, installationId }) {
       return;
     }
 
-    const forum = await client.channels.fetch(env.DISCORD_INPUT_FORUM_CHANNEL_ID);
-    const tag = forum.availableTags.find(
-      (t) => t.name.toLowerCase() === label.name.toLowerCase()
-    );
-
-    if (!tag) {
-      return;
-    }
-
+    // An alias of the removed label still on the issue keeps the shared tag,
+    // and a freed slot goes to the best label left without one
     for (const thread of threads) {
-      const currentTags = thread.appliedTags || [];
-      if (currentTags.includes(tag.id)) {
-        logEvent("info", "discord.thread.tag.remove", {
-          repo: fullName,
-          issueNumber: issue.number,
-          threadId: thread.id,
-          label: label.name,
-          installationId,
-        });
-        await thread.setAppliedTags(currentTags.filter((id) => id !== tag.id));
-      }
+      const forum = await getThreadForum(client, thread);
+      await applyThreadLabelTags(forum, thread, issue, repo, { removedLabels: [label.name] });
+      logEvent("info", "discord.thread.tag.remove", {
+        repo: fullName,
+        issueNumber: issue.number,
+        threadId: thread.id,
+        label: label.name,
+        installationId,
+      });
     }
+
+    await refreshSyncEmbeds(client, octokit, threads, issue, owner, repo);
   });
 }
 
-async function handleIssueMilestoned({ payload, installationId }) {
+async function handleIssueMilestoned({ octokit, payload, installationId }) {
   const { owner, repo, fullName } = getRepoInfo(payload.repository);
   const issue = payload.issue;
   const milestone = payload.milestone;
@@ -613,7 +868,6 @@ async function handleIssueMilestoned({ payload, installationId }) {
   await withDiscordClient(async (client) => {
     const threads = await findThreadsForIssue(
       client,
-      env.DISCORD_INPUT_FORUM_CHANNEL_ID,
       issue.number,
       owner,
       repo,
@@ -624,32 +878,11 @@ async function handleIssueMilestoned({ payload, installationId }) {
       return;
     }
 
-    const embed = {
-      embeds: [
-        {
-          description: `Added to milestone **[${milestone.title}](${milestone.html_url})**`,
-          color: 0x238636,
-          footer: {
-            text: milestone.description || `${milestone.open_issues} open · ${milestone.closed_issues} closed`,
-          },
-        },
-      ],
-    };
-
-    for (const thread of threads) {
-      logEvent("info", "discord.thread.milestoned", {
-        repo: fullName,
-        issueNumber: issue.number,
-        threadId: thread.id,
-        milestone: milestone.title,
-        installationId,
-      });
-      await thread.send(embed);
-    }
+    await refreshSyncEmbeds(client, octokit, threads, issue, owner, repo);
   });
 }
 
-async function handleIssueAssigned({ payload, installationId }) {
+async function handleIssueAssigned({ octokit, payload, installationId }) {
   const { owner, repo, fullName } = getRepoInfo(payload.repository);
   const issue = payload.issue;
   const assignee = payload.assignee;
@@ -664,7 +897,6 @@ async function handleIssueAssigned({ payload, installationId }) {
   await withDiscordClient(async (client) => {
     const threads = await findThreadsForIssue(
       client,
-      env.DISCORD_INPUT_FORUM_CHANNEL_ID,
       issue.number,
       owner,
       repo,
@@ -675,33 +907,721 @@ async function handleIssueAssigned({ payload, installationId }) {
       return;
     }
 
-    const embed = {
-      embeds: [
-        {
-          description: `Assigned to **[${assignee.login}](${assignee.html_url})**`,
-          color: 0x1f6feb,
-          thumbnail: {
-            url: assignee.avatar_url,
-          },
-        },
-      ],
-    };
+    await refreshSyncEmbeds(client, octokit, threads, issue, owner, repo);
+  });
+}
 
-    for (const thread of threads) {
-      logEvent("info", "discord.thread.assigned", {
+async function handleIssueUnassigned({ octokit, payload, installationId }) {
+  const { owner, repo, fullName } = getRepoInfo(payload.repository);
+  const issue = payload.issue;
+  const assignee = payload.assignee;
+
+  logEvent("info", "github.issue.unassigned", {
+    repo: fullName,
+    issueNumber: issue.number,
+    assignee: assignee?.login,
+    installationId,
+  });
+
+  await withDiscordClient(async (client) => {
+    const threads = await findThreadsForIssue(
+      client,
+      issue.number,
+      owner,
+      repo,
+      issue.title
+    );
+
+    await refreshSyncEmbeds(client, octokit, threads, issue, owner, repo);
+  });
+}
+
+async function handleIssueDemilestoned({ octokit, payload, installationId }) {
+  const { owner, repo, fullName } = getRepoInfo(payload.repository);
+  const issue = payload.issue;
+
+  logEvent("info", "github.issue.demilestoned", {
+    repo: fullName,
+    issueNumber: issue.number,
+    milestone: payload.milestone?.title,
+    installationId,
+  });
+
+  await withDiscordClient(async (client) => {
+    const threads = await findThreadsForIssue(
+      client,
+      issue.number,
+      owner,
+      repo,
+      issue.title
+    );
+
+    await refreshSyncEmbeds(client, octokit, threads, issue, owner, repo);
+  });
+}
+
+async function setThreadsLocked(payload, installationId, locked) {
+  const { owner, repo, fullName } = getRepoInfo(payload.repository);
+  const issue = payload.issue;
+
+  logEvent("info", locked ? "github.issue.locked" : "github.issue.unlocked", {
+    repo: fullName,
+    issueNumber: issue.number,
+    reason: issue.active_lock_reason,
+    installationId,
+  });
+
+  await withDiscordClient(async (client) => {
+    const threads = await findThreadsForIssue(
+      client,
+      issue.number,
+      owner,
+      repo,
+      issue.title
+    );
+
+    const reason = locked
+      ? `Issue locked on GitHub${issue.active_lock_reason ? ` (${issue.active_lock_reason})` : ""}`
+      : "Issue unlocked on GitHub";
+
+    for (const thread of threads) {
+      if (thread.locked === locked) continue;
+      logEvent("info", locked ? "discord.thread.lock" : "discord.thread.unlock", {
+        repo: fullName,
+        issueNumber: issue.number,
+        threadId: thread.id,
+        installationId,
+      });
+      await thread.setLocked(locked, reason);
+    }
+  });
+}
+
+async function handleIssueLocked({ payload, installationId }) {
+  await setThreadsLocked(payload, installationId, true);
+}
+
+async function handleIssueUnlocked({ payload, installationId }) {
+  await setThreadsLocked(payload, installationId, false);
+}
+
+async function handleIssueTransferred({ octokit, payload, installationId }) {
+  const { owner, repo, fullName } = getRepoInfo(payload.repository);
+  const issue = payload.issue;
+  const newIssue = payload.changes?.new_issue;
+  const newRepository = payload.changes?.new_repository;
+
+  if (!newIssue || !newRepository) {
+    logEvent("warn", "github.issue.transferred.incomplete", {
+      repo: fullName,
+      issueNumber: issue.number,
+      installationId,
+    });
+    return;
+  }
+
+  const target = getRepoInfo(newRepository);
+  logEvent("info", "github.issue.transferred", {
+    repo: fullName,
+    issueNumber: issue.number,
+    newRepo: target.fullName,
+    newIssueNumber: newIssue.number,
+    installationId,
+  });
+
+  await withDiscordClient(async (client) => {
+    const threads = await findThreadsForIssue(
+      client,
+      issue.number,
+      owner,
+      repo,
+      issue.title
+    );
+
+    // Moving into a repository whose content may not reach Discord ends the sync
+    const exposure = checkRepositoryExposure(newRepository);
+    if (exposure) {
+      await retractThreads(client, threads, issue, owner, repo, `was transferred to ${target.fullName}`, installationId);
+      logEvent("warn", "github.issue.transferred.private", {
         repo: fullName,
         issueNumber: issue.number,
+        reason: exposure,
+        installationId,
+      });
+      return;
+    }
+
+    const linkedPullRequests = await fetchLinkedPullRequests(
+      octokit,
+      target.owner,
+      target.repo,
+      newIssue.number
+    );
+    const fields = createSyncStatusFields(newIssue, linkedPullRequests);
+
+    for (const thread of threads) {
+      const syncMessage = await findSyncMessage(thread, issue.number);
+      if (syncMessage && syncMessage.author.id === client.user.id) {
+        await syncMessage.edit({
+          ...updateSyncEmbed(syncMessage, newIssue, fields),
+          content: formatSyncLine(newIssue.number, newIssue.html_url, target.repo),
+        });
+      } else {
+        logEvent("warn", "discord.sync_embed.missing", {
+          repo: fullName,
+          issueNumber: issue.number,
+          threadId: thread.id,
+        });
+      }
+
+      await deleteThreadCacheEntry(owner, repo, issue.number);
+      await setThreadCacheEntry(target.owner, target.repo, newIssue.number, {
+        threadId: thread.id,
+        title: newIssue.title,
+      });
+      logEvent("info", "discord.thread.transfer", {
+        repo: fullName,
+        issueNumber: issue.number,
+        newRepo: target.fullName,
+        newIssueNumber: newIssue.number,
         threadId: thread.id,
-        assignee: assignee.login,
         installationId,
       });
-      await thread.send(embed);
     }
   });
 }
 
+async function handleIssueDeleted({ payload, installationId, deliveryId }) {
+  const { owner, repo, fullName } = getRepoInfo(payload.repository);
+  const issue = payload.issue;
+
+  logEvent("info", "github.issue.deleted", {
+    repo: fullName,
+    issueNumber: issue.number,
+    installationId,
+  });
+
+  await withDiscordClient(async (client) => {
+    const threads = await findThreadsForIssue(
+      client,
+      issue.number,
+      owner,
+      repo,
+      issue.title
+    );
+
+    for (const thread of threads) {
+      await markThreadUnsynced(client, thread, issue, "issue deleted on GitHub");
+      await sendThreadNotice(thread, deliveryId, `deleted:${fullName}#${issue.number}`, {
+        embeds: [
+          {
+            title: "Issue deleted",
+            description: `#${issue.number} was deleted on GitHub${
+              payload.sender?.login ? ` by **${payload.sender.login}**` : ""
+            }. This thread is no longer synced.`,
+            color: 0x6e7681,
+          },
+        ],
+      });
+    }
+
+    await deleteThreadCacheEntry(owner, repo, issue.number);
+  });
+}
+
+// Matches `#N`, `owner/repo#N` and issue URLs, each optionally led by a closing
+// keyword. Any of them leaves a cross-reference on the issue's timeline.
+const ISSUE_REFERENCE_PATTERN =
+  /(?:\b(close[sd]?|fix(?:e[sd])?|resolve[sd]?)\s*:?\s+)?(?:https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/issues\/|\b([\w.-]+)\/([\w.-]+)#|(?<![\w/])#)(\d+)\b/gi;
+
+function parseIssueReferences(text, owner, repo) {
+  const refs = [];
+  for (const match of (text || "").matchAll(ISSUE_REFERENCE_PATTERN)) {
+    refs.push({
+      owner: match[2] || match[4] || owner,
+      repo: match[3] || match[5] || repo,
+      number: parseInt(match[6], 10),
+      closing: Boolean(match[1]),
+    });
+  }
+  return refs;
+}
+
+async function fetchClosingIssueReferences(octokit, owner, repo, pullNumber) {
+  try {
+    const result = await octokit.graphql(
+      `query ($owner: String!, $repo: String!, $number: Int!) {
+        repository(owner: $owner, name: $repo) {
+          pullRequest(number: $number) {
+            closingIssuesReferences(first: 25) {
+              nodes { number repository { name owner { login } } }
+            }
+          }
+        }
+      }`,
+      { owner, repo, number: pullNumber }
+    );
+    const nodes = result.repository?.pullRequest?.closingIssuesReferences?.nodes || [];
+    return nodes.map((node) => ({
+      owner: node.repository.owner.login,
+      repo: node.repository.name,
+      number: node.number,
+    }));
+  } catch (err) {
+    logEvent("warn", "github.pull_request.closing_refs.error", {
+      repo: `${owner}/${repo}`,
+      pullNumber,
+      error: formatError(err),
+    });
+    return [];
+  }
+}
+
+function toLinkedPullRequest(pullRequest) {
+  return {
+    number: pullRequest.number,
+    title: pullRequest.title,
+    url: pullRequest.html_url,
+    state: pullRequest.merged_at ? "merged" : pullRequest.state,
+    draft: Boolean(pullRequest.draft),
+  };
+}
+
+function createPullRequestEmbed(pullRequest, action) {
+  const merged = action === "closed" && pullRequest.merged_at;
+  const variants = {
+    opened: { title: "Pull request opened", color: 0x238636 },
+    ready_for_review: { title: "Pull request ready for review", color: 0x238636 },
+    merged: { title: "Pull request merged", color: 0x8957e5 },
+    closed: { title: "Pull request closed", color: 0xda3633 },
+  };
+  const { title, color } = variants[merged ? "merged" : action];
+  const draft = action === "opened" && pullRequest.draft ? " (draft)" : "";
+  return {
+    embeds: [
+      {
+        title: `${title}${draft}`,
+        description: `[#${pullRequest.number} ${pullRequest.title}](${pullRequest.html_url})`,
+        color,
+        author: {
+          name: pullRequest.user.login,
+          icon_url: pullRequest.user.avatar_url,
+          url: pullRequest.user.html_url,
+        },
+      },
+    ],
+  };
+}
+
+// Runs fn(issue, ref, threads, issueOctokit) for each referenced issue that is
+// synced with Discord, holding the issue's lock so it is serialized with
+// Discord-side work on the same threads. Issues in other repositories are read
+// through the installation that covers them, not the delivery's. Refs that
+// cannot be fetched are logged as errorEvent and skipped.
+async function forEachSyncedIssue(client, refs, { octokit, fullName, errorEvent, errorMeta }, fn) {
+  for (const ref of refs) {
+    let issue;
+    let issueOctokit = octokit;
+    try {
+      if (`${ref.owner}/${ref.repo}`.toLowerCase() !== fullName.toLowerCase()) {
+        issueOctokit = await getRepoOctokit(ref.owner, ref.repo);
+      }
+      ({ data: issue } = await issueOctokit.request("GET /repos/{owner}/{repo}/issues/{issue_number}", {
+        owner: ref.owner,
+        repo: ref.repo,
+        issue_number: ref.number,
+      }));
+    } catch (err) {
+      logEvent("warn", errorEvent, {
+        repo: fullName,
+        ...errorMeta,
+        ref: `${ref.owner}/${ref.repo}#${ref.number}`,
+        error: formatError(err),
+      });
+      continue;
+    }
+    if (issue.pull_request || !hasSyncLabel(issue)) continue;
+
+    await withIssueLock(ref.owner, ref.repo, issue.number, async () => {
+      const threads = await findThreadsForIssue(client, issue.number, ref.owner, ref.repo, issue.title);
+      await fn(issue, ref, threads, issueOctokit);
+    });
+  }
+}
+
+async function handlePullRequest({ octokit, payload, installationId, deliveryId }) {
+  const { owner, repo, fullName } = getRepoInfo(payload.repository);
+  const pullRequest = payload.pull_request;
+  const action = payload.action;
+
+  logEvent("info", "github.pull_request.received", {
+    repo: fullName,
+    pullNumber: pullRequest.number,
+    action,
+    merged: Boolean(pullRequest.merged_at),
+    installationId,
+  });
+
+  if (!octokit) {
+    logEvent("error", "github.octokit.missing", {
+      repo: fullName,
+      installationId,
+      event: `pull_request.${action}`,
+    });
+    return;
+  }
+
+  const refs = [
+    ...parseIssueReferences(`${pullRequest.title}\n${pullRequest.body || ""}`, owner, repo),
+    ...(await fetchClosingIssueReferences(octokit, owner, repo, pullRequest.number)),
+  ];
+  const uniqueRefs = [
+    ...new Map(refs.map((ref) => [`${ref.owner}/${ref.repo}#${ref.number}`.toLowerCase(), ref])).values(),
+  ];
+
+  if (uniqueRefs.length === 0) {
+    return;
+  }
+
+  await withDiscordClient(async (client) => {
+    await forEachSyncedIssue(
+      client,
+      uniqueRefs,
+      {
+        octokit,
+        fullName,
+        errorEvent: "github.pull_request.issue_ref.error",
+        errorMeta: { pullNumber: pullRequest.number },
+      },
+      async (issue, ref, threads, issueOctokit) => {
+        for (const thread of threads) {
+          logEvent("info", "discord.thread.pull_request", {
+            repo: `${ref.owner}/${ref.repo}`,
+            issueNumber: issue.number,
+            pullRequest: `${fullName}#${pullRequest.number}`,
+            action,
+            threadId: thread.id,
+            installationId,
+          });
+          await sendThreadNotice(
+            thread,
+            deliveryId,
+            `pull_request:${ref.owner}/${ref.repo}#${issue.number}`,
+            createPullRequestEmbed(pullRequest, action)
+          );
+        }
+
+        await refreshSyncEmbeds(client, issueOctokit, threads, issue, ref.owner, ref.repo, {
+          pullRequests: [toLinkedPullRequest(pullRequest)],
+        });
+      }
+    );
+  });
+}
+
+const PUSH_NOTICE_COMMIT_LIMIT = 10;
+// Long commit titles are cut so ten of them still fit one description
+const PUSH_NOTICE_TITLE_LIMIT = 100;
+
+function createPushEmbed(commits, branch, compareUrl) {
+  const lines = commits.slice(0, PUSH_NOTICE_COMMIT_LIMIT).map(({ commit, closing }) => {
+    const [firstLine] = commit.message.split("\n");
+    const title =
+      firstLine.length > PUSH_NOTICE_TITLE_LIMIT
+        ? `${firstLine.slice(0, PUSH_NOTICE_TITLE_LIMIT - 1)}…`
+        : firstLine;
+    const author = commit.author?.username || commit.author?.name || "unknown";
+    const prefix = closing ? "✅ " : "";
+    return `${prefix}[\`${commit.id.slice(0, 7)}\`](${commit.url}) ${title} — **${author}**`;
+  });
+  if (commits.length > PUSH_NOTICE_COMMIT_LIMIT) {
+    lines.push(`…and ${commits.length - PUSH_NOTICE_COMMIT_LIMIT} more`);
+  }
+  return {
+    embeds: [
+      fitEmbedDescription({
+        title: `Referenced in ${commits.length} commit${commits.length === 1 ? "" : "s"} on ${branch}`,
+        url: compareUrl || undefined,
+        description: lines.join("\n"),
+        color: 0x6e7681,
+      }),
+    ],
+  };
+}
+
+async function handlePush({ octokit, payload, installationId, deliveryId }) {
+  const { owner, repo, fullName } = getRepoInfo(payload.repository);
+  const branch = payload.repository.default_branch;
+
+  if (payload.ref !== `refs/heads/${branch}` || payload.deleted) {
+    return;
+  }
+
+  const commitsByIssue = new Map();
+  for (const commit of payload.commits || []) {
+    for (const ref of parseIssueReferences(commit.message, owner, repo)) {
+      const key = `${ref.owner}/${ref.repo}#${ref.number}`.toLowerCase();
+      const entry = commitsByIssue.get(key) || { ref, commits: [] };
+      const existing = entry.commits.find((item) => item.commit.id === commit.id);
+      if (existing) {
+        existing.closing = existing.closing || ref.closing;
+      } else {
+        entry.commits.push({ commit, closing: ref.closing });
+      }
+      commitsByIssue.set(key, entry);
+    }
+  }
+
+  logEvent("info", "github.push.received", {
+    repo: fullName,
+    ref: payload.ref,
+    commitCount: payload.commits?.length || 0,
+    issueRefCount: commitsByIssue.size,
+    installationId,
+  });
+
+  if (commitsByIssue.size === 0) {
+    return;
+  }
+
+  if (!octokit) {
+    logEvent("error", "github.octokit.missing", {
+      repo: fullName,
+      installationId,
+      event: "push",
+    });
+    return;
+  }
+
+  await withDiscordClient(async (client) => {
+    await forEachSyncedIssue(
+      client,
+      [...commitsByIssue.values()].map((entry) => entry.ref),
+      { octokit, fullName, errorEvent: "github.push.issue_ref.error" },
+      async (issue, ref, threads) => {
+        const { commits } = commitsByIssue.get(`${ref.owner}/${ref.repo}#${ref.number}`.toLowerCase());
+
+        const embed = createPushEmbed(commits, branch, payload.compare);
+        for (const thread of threads) {
+          logEvent("info", "discord.thread.push_notice", {
+            repo: `${ref.owner}/${ref.repo}`,
+            issueNumber: issue.number,
+            threadId: thread.id,
+            commitCount: commits.length,
+            installationId,
+          });
+          await sendThreadNotice(thread, deliveryId, `push:${ref.owner}/${ref.repo}#${issue.number}`, embed);
+        }
+      }
+    );
+  });
+}
+
+const RELEASE_COMMIT_LIMIT = 250;
+
+async function findPreviousRelease(octokit, owner, repo, release) {
+  const { data: releases } = await octokit.request("GET /repos/{owner}/{repo}/releases", {
+    owner,
+    repo,
+    per_page: 100,
+  });
+  const publishedAt = new Date(release.published_at).getTime();
+  return (
+    releases
+      .filter((r) => !r.draft && r.id !== release.id && r.published_at)
+      .filter((r) => new Date(r.published_at).getTime() < publishedAt)
+      .sort((a, b) => new Date(b.published_at) - new Date(a.published_at))[0] || null
+  );
+}
+
+// Without a previous release the whole history of the tag is the release
+async function listReleaseCommits(octokit, owner, repo, baseTag, headTag) {
+  const commits = [];
+  let page = 1;
+  const perPage = 100;
+
+  while (commits.length < RELEASE_COMMIT_LIMIT) {
+    let pageCommits;
+    if (baseTag) {
+      const { data } = await octokit.request("GET /repos/{owner}/{repo}/compare/{basehead}", {
+        owner,
+        repo,
+        basehead: `${baseTag}...${headTag}`,
+        per_page: perPage,
+        page,
+      });
+      pageCommits = data.commits;
+    } else {
+      const { data } = await octokit.request("GET /repos/{owner}/{repo}/commits", {
+        owner,
+        repo,
+        sha: headTag,
+        per_page: perPage,
+        page,
+      });
+      pageCommits = data;
+    }
+    commits.push(...pageCommits);
+    if (pageCommits.length < perPage) break;
+    page += 1;
+  }
+
+  return commits.slice(0, RELEASE_COMMIT_LIMIT);
+}
+
+// Issues closed by the pull requests (or closing keywords in commits) between two tags
+async function findReleaseIssues(octokit, owner, repo, commits) {
+  const issues = new Map();
+  const seenPullRequests = new Set();
+  const addRef = (ref) => {
+    issues.set(`${ref.owner}/${ref.repo}#${ref.number}`.toLowerCase(), ref);
+  };
+
+  for (const commit of commits) {
+    parseIssueReferences(commit.commit.message, owner, repo)
+      .filter((ref) => ref.closing)
+      .forEach(addRef);
+
+    let pullRequests;
+    try {
+      ({ data: pullRequests } = await octokit.request(
+        "GET /repos/{owner}/{repo}/commits/{commit_sha}/pulls",
+        {
+          owner,
+          repo,
+          commit_sha: commit.sha,
+        }
+      ));
+    } catch (err) {
+      logEvent("warn", "github.release.commit_pulls.error", {
+        repo: `${owner}/${repo}`,
+        sha: commit.sha,
+        error: formatError(err),
+      });
+      continue;
+    }
+    for (const pullRequest of pullRequests) {
+      if (!pullRequest.merged_at || seenPullRequests.has(pullRequest.number)) continue;
+      seenPullRequests.add(pullRequest.number);
+      parseIssueReferences(`${pullRequest.title}\n${pullRequest.body || ""}`, owner, repo)
+        .filter((ref) => ref.closing)
+        .forEach(addRef);
+      (await fetchClosingIssueReferences(octokit, owner, repo, pullRequest.number)).forEach(addRef);
+    }
+  }
+
+  return { issueRefs: [...issues.values()], pullRequestCount: seenPullRequests.size };
+}
+
+function createReleaseEmbed(release, repoName) {
+  return {
+    embeds: [
+      {
+        title: `Shipped in ${release.name || release.tag_name}`,
+        description: `The fix for this issue is part of [${repoName} ${release.tag_name}](${release.html_url}).`,
+        url: release.html_url,
+        color: 0x8957e5,
+      },
+    ],
+  };
+}
+
+async function handleReleasePublished({ octokit, payload, installationId, deliveryId }) {
+  const { owner, repo, fullName } = getRepoInfo(payload.repository);
+  const release = payload.release;
+
+  logEvent("info", "github.release.published", {
+    repo: fullName,
+    tag: release.tag_name,
+    installationId,
+  });
+
+  if (!octokit) {
+    logEvent("error", "github.octokit.missing", {
+      repo: fullName,
+      installationId,
+      event: "release.published",
+    });
+    return;
+  }
+
+  const previous = await findPreviousRelease(octokit, owner, repo, release);
+  if (!previous) {
+    logEvent("info", "github.release.no_previous", {
+      repo: fullName,
+      tag: release.tag_name,
+      installationId,
+    });
+  }
+
+  const commits = await listReleaseCommits(
+    octokit,
+    owner,
+    repo,
+    previous?.tag_name || null,
+    release.tag_name
+  );
+  const { issueRefs, pullRequestCount } = await findReleaseIssues(octokit, owner, repo, commits);
+
+  logEvent("info", "github.release.issues", {
+    repo: fullName,
+    tag: release.tag_name,
+    previousTag: previous?.tag_name || null,
+    commitCount: commits.length,
+    pullRequestCount,
+    issueCount: issueRefs.length,
+    installationId,
+  });
+
+  if (issueRefs.length === 0) {
+    return;
+  }
+
+  await withDiscordClient(async (client) => {
+    const embed = createReleaseEmbed(release, repo);
+
+    await forEachSyncedIssue(
+      client,
+      issueRefs,
+      { octokit, fullName, errorEvent: "github.release.issue_ref.error" },
+      async (issue, ref, threads) => {
+        for (const thread of threads) {
+          logEvent("info", "discord.thread.release_notice", {
+            repo: `${ref.owner}/${ref.repo}`,
+            issueNumber: issue.number,
+            threadId: thread.id,
+            tag: release.tag_name,
+            installationId,
+          });
+          await sendThreadNotice(thread, deliveryId, `release:${ref.owner}/${ref.repo}#${issue.number}`, embed);
+
+          if (!getConfig().policies.releaseForumTags) continue;
+          const forum = await getThreadForum(client, thread);
+          const releaseTag = await getOrCreateForumTag(forum, release.tag_name);
+          if (releaseTag) markReleaseTag(forum.id, releaseTag);
+          const currentTags = thread.appliedTags || [];
+          if (!releaseTag || currentTags.includes(releaseTag.id)) continue;
+          if (currentTags.length >= getTagLimits().perThread) {
+            logEvent("warn", "discord.thread.tag.limit", {
+              repo: `${ref.owner}/${ref.repo}`,
+              issueNumber: issue.number,
+              threadId: thread.id,
+              label: release.tag_name,
+              installationId,
+            });
+            continue;
+          }
+          await setThreadTags(thread, [...currentTags, releaseTag.id]);
+        }
+      }
+    );
+  });
+}
+
 module.exports = {
   handleIssueComment,
+  handleIssueCommentEdited,
+  handleIssueCommentDeleted,
   handleIssueOpened,
   handleIssueClosed,
   handleIssueReopened,
@@ -710,4 +1630,13 @@ module.exports = {
   handleIssueUnlabeled,
   handleIssueMilestoned,
   handleIssueAssigned,
+  handleIssueUnassigned,
+  handleIssueDemilestoned,
+  handleIssueLocked,
+  handleIssueUnlocked,
+  handleIssueTransferred,
+  handleIssueDeleted,
+  handlePullRequest,
+  handlePush,
+  handleReleasePublished,
 };
@@ -0,0 +1,63 @@
+const { getConfig } = require("./config.js");
+const { getLabelMapping } = require("./labelMappings.js");
+const { matchesRepo } = require("./syncFilters.js");
+
+// Guards against leaking non-public GitHub content into Discord, from the
+// "safety" section of the config:
+//   "safety": {
+//     "allowedPrivateRepos": ["owner/handbook", "partner-org/*"],
+//     "confidentialLabels": ["confidential"],
+//     "redactPatterns": ["gh[pousr]_[A-Za-z0-9]{36,}", ...],
+//     "redactReplacement": "[redacted]"
+//   }
+// Private and internal repositories are never mirrored unless allow-listed,
+// bodies posted to Discord have every pattern replaced, and an issue that
+// gains a confidential label has its threads retracted and locked.
+let redactors = null;
+let redactorsConfig = null;
+
+// Returns null when the repository's content may reach Discord, else why not
+function checkRepositoryExposure(repository) {
+  if (!repository) return null;
+  const visibility = repository.visibility || (repository.private ? "private" : "public");
+  if (visibility === "public") return null;
+
+  const { allowedPrivateRepos } = getConfig().safety;
+  if (matchesRepo(allowedPrivateRepos, repository.owner.login, repository.name)) return null;
+  return `${repository.full_name} is ${visibility} and not in safety.allowedPrivateRepos`;
+}
+
+// The first confidential label on the issue; aliases count as their canonical label
+function getConfidentialLabel(issue) {
+  const confidential = new Set(getConfig().safety.confidentialLabels.map((name) => name.toLowerCase()));
+  const label = (issue.labels || []).find(({ name }) =>
+    [name, getLabelMapping(name)?.label].some((candidate) => candidate && confidential.has(candidate.toLowerCase()))
+  );
+  return label?.name || null;
+}
+
+function isConfidentialLabel(labelName) {
+  return Boolean(getConfidentialLabel({ labels: [{ name: labelName }] }));
+}
+
+function getRedactors() {
+  const config = getConfig();
+  if (redactorsConfig !== config) {
+    redactors = config.safety.redactPatterns.map((pattern) => new RegExp(pattern, "g"));
+    redactorsConfig = config;
+  }
+  return redactors;
+}
+
+function redactText(text) {
+  if (!text) return text;
+  const { redactReplacement } = getConfig().safety;
+  return getRedactors().reduce((result, pattern) => result.replace(pattern, redactReplacement), text);
+}
+
+module.exports = {
+  checkRepositoryExposure,
+  getConfidentialLabel,
+  isConfidentialLabel,
+  redactText,
+};
@@ -6,6 +6,13 @@ cd "$(dirname "$0")"
 echo "Pulling latest changes..."
 git pull
 
+# docker-compose.yml mounts ./config; settings go in config/config.json (see config.example.json)
+if [ ! -f config/config.json ]; then
+  echo "Creating an empty config/config.json..."
+  mkdir -p config
+  echo "{}" > config/config.json
+fi
+
 echo "Building and starting containers..."
 docker compose up -d --build
 
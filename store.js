@@ -0,0 +1,633 @@
+const Database = require("better-sqlite3");
+const fs = require("fs");
+const { logEvent, formatError } = require("./logging.js");
+const { getConfig } = require("./config.js");
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS thread_links (
+    owner TEXT NOT NULL,
+    repo TEXT NOT NULL,
+    issue_number INTEGER NOT NULL,
+    thread_id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (owner, repo, issue_number)
+  );
+  CREATE INDEX IF NOT EXISTS thread_links_thread ON thread_links (thread_id);
+
+  CREATE TABLE IF NOT EXISTS message_links (
+    message_id TEXT PRIMARY KEY,
+    thread_id TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    repo TEXT NOT NULL,
+    issue_number INTEGER NOT NULL,
+    comment_id INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    created_timestamp INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS message_links_comment ON message_links (comment_id);
+
+  CREATE TABLE IF NOT EXISTS comment_embeds (
+    comment_id INTEGER NOT NULL,
+    thread_id TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    updated_at INTEGER NOT NULL,
+    PRIMARY KEY (comment_id, message_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    delivery_id TEXT PRIMARY KEY,
+    event TEXT,
+    installation_id INTEGER,
+    payload TEXT,
+    received_at INTEGER NOT NULL,
+    processed_at INTEGER,
+    job_id INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_received ON webhook_deliveries (received_at);
+
+  CREATE TABLE IF NOT EXISTS posted_notices (
+    delivery_id TEXT NOT NULL,
+    thread_id TEXT NOT NULL,
+    notice TEXT NOT NULL,
+    message_id TEXT NOT NULL,
+    posted_at INTEGER NOT NULL,
+    PRIMARY KEY (delivery_id, thread_id, notice)
+  );
+
+  CREATE TABLE IF NOT EXISTS sync_timestamps (
+    owner TEXT NOT NULL,
+    repo TEXT NOT NULL,
+    issue_number INTEGER NOT NULL,
+    direction TEXT NOT NULL,
+    synced_at INTEGER NOT NULL,
+    PRIMARY KEY (owner, repo, issue_number, direction)
+  );
+
+  CREATE TABLE IF NOT EXISTS forum_tag_usage (
+    forum_id TEXT NOT NULL,
+    tag_id TEXT NOT NULL,
+    last_used_at INTEGER NOT NULL,
+    PRIMARY KEY (forum_id, tag_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS release_tags (
+    forum_id TEXT NOT NULL,
+    tag_id TEXT NOT NULL,
+    tag_name TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (forum_id, tag_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS bridge_tag_changes (
+    thread_id TEXT NOT NULL,
+    tag_id TEXT NOT NULL,
+    changed_at INTEGER NOT NULL,
+    PRIMARY KEY (thread_id, tag_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    ordering_key TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_run_at INTEGER NOT NULL,
+    last_error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status, next_run_at);
+  CREATE INDEX IF NOT EXISTS jobs_ordering ON jobs (ordering_key, status);
+`;
+
+// Columns added after their table first shipped; CREATE TABLE IF NOT EXISTS
+// leaves existing databases untouched, so these are added on open
+const ADDED_COLUMNS = {
+  webhook_deliveries: { installation_id: "INTEGER", payload: "TEXT", job_id: "INTEGER" },
+};
+
+function addMissingColumns(db) {
+  for (const [table, columns] of Object.entries(ADDED_COLUMNS)) {
+    const existing = new Set(db.pragma(`table_info(${table})`).map((column) => column.name));
+    for (const [name, type] of Object.entries(columns)) {
+      if (!existing.has(name)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+}
+
+function toDelivery(row) {
+  if (!row) return null;
+  return {
+    deliveryId: row.delivery_id,
+    event: row.event,
+    installationId: row.installation_id,
+    payload: row.payload ? JSON.parse(row.payload) : null,
+    receivedAt: row.received_at,
+    processedAt: row.processed_at,
+    jobId: row.job_id ?? null,
+  };
+}
+
+function toJob(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    type: row.type,
+    orderingKey: row.ordering_key,
+    payload: JSON.parse(row.payload),
+    status: row.status,
+    attempts: row.attempts,
+    nextRunAt: row.next_run_at,
+    lastError: row.last_error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toMessageLink(row) {
+  if (!row) return null;
+  return {
+    messageId: row.message_id,
+    threadId: row.thread_id,
+    owner: row.owner,
+    repo: row.repo,
+    issueNumber: row.issue_number,
+    commentId: row.comment_id,
+    content: row.content,
+    createdTimestamp: row.created_timestamp,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toThreadLink(row) {
+  if (!row) return null;
+  return {
+    ...JSON.parse(row.data),
+    owner: row.owner,
+    repo: row.repo,
+    issueNumber: row.issue_number,
+    threadId: row.thread_id,
+    updatedAt: row.updated_at,
+  };
+}
+
+function createStore(filePath) {
+  const db = new Database(filePath);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  addMissingColumns(db);
+
+  const statements = {
+    getThread: db.prepare(
+      "SELECT * FROM thread_links WHERE owner = ? AND repo = ? AND issue_number = ?"
+    ),
+    getThreadsByThreadId: db.prepare("SELECT * FROM thread_links WHERE thread_id = ?"),
+    setThread: db.prepare(`
+      INSERT INTO thread_links (owner, repo, issue_number, thread_id, data, updated_at)
+      VALUES (@owner, @repo, @issueNumber, @threadId, @data, @updatedAt)
+      ON CONFLICT (owner, repo, issue_number) DO UPDATE SET
+        thread_id = excluded.thread_id,
+        data = excluded.data,
+        updated_at = excluded.updated_at
+    `),
+    deleteThread: db.prepare(
+      "DELETE FROM thread_links WHERE owner = ? AND repo = ? AND issue_number = ?"
+    ),
+    getMessage: db.prepare("SELECT * FROM message_links WHERE message_id = ?"),
+    getMessagesByComment: db.prepare(
+      "SELECT * FROM message_links WHERE comment_id = ? ORDER BY created_timestamp"
+    ),
+    setMessage: db.prepare(`
+      INSERT INTO message_links
+        (message_id, thread_id, owner, repo, issue_number, comment_id, content, created_timestamp, updated_at)
+      VALUES
+        (@messageId, @threadId, @owner, @repo, @issueNumber, @commentId, @content, @createdTimestamp, @updatedAt)
+      ON CONFLICT (message_id) DO UPDATE SET
+        thread_id = excluded.thread_id,
+        owner = excluded.owner,
+        repo = excluded.repo,
+        issue_number = excluded.issue_number,
+        comment_id = excluded.comment_id,
+        content = excluded.content,
+        updated_at = excluded.updated_at
+    `),
+    deleteMessage: db.prepare("DELETE FROM message_links WHERE message_id = ?"),
+    getCommentEmbeds: db.prepare(
+      "SELECT thread_id, message_id FROM comment_embeds WHERE comment_id = ?"
+    ),
+    addCommentEmbed: db.prepare(`
+      INSERT OR REPLACE INTO comment_embeds (comment_id, thread_id, message_id, updated_at)
+      VALUES (?, ?, ?, ?)
+    `),
+    deleteCommentEmbeds: db.prepare("DELETE FROM comment_embeds WHERE comment_id = ?"),
+    hasDelivery: db.prepare(
+      "SELECT 1 FROM webhook_deliveries WHERE delivery_id = ? AND processed_at IS NOT NULL"
+    ),
+    recordDelivery: db.prepare(`
+      INSERT INTO webhook_deliveries (delivery_id, event, installation_id, payload, received_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (delivery_id) DO NOTHING
+    `),
+    getDelivery: db.prepare("SELECT * FROM webhook_deliveries WHERE delivery_id = ?"),
+    listDeliveries: db.prepare(`
+      SELECT delivery_id, event, installation_id, received_at, processed_at
+      FROM webhook_deliveries ORDER BY received_at DESC LIMIT ?
+    `),
+    purgeDeliveries: db.prepare("DELETE FROM webhook_deliveries WHERE received_at < ?"),
+    purgeNotices: db.prepare("DELETE FROM posted_notices WHERE posted_at < ?"),
+    hasNotice: db.prepare(
+      "SELECT 1 FROM posted_notices WHERE delivery_id = ? AND thread_id = ? AND notice = ?"
+    ),
+    addNotice: db.prepare(`
+      INSERT OR IGNORE INTO posted_notices (delivery_id, thread_id, notice, message_id, posted_at)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    markDeliveryProcessed: db.prepare(
+      "UPDATE webhook_deliveries SET processed_at = ? WHERE delivery_id = ?"
+    ),
+    setDeliveryJob: db.prepare("UPDATE webhook_deliveries SET job_id = ? WHERE delivery_id = ?"),
+    setSyncTimestamp: db.prepare(`
+      INSERT OR REPLACE INTO sync_timestamps (owner, repo, issue_number, direction, synced_at)
+      VALUES (?, ?, ?, ?, ?)
+    `),
+    getSyncTimestamps: db.prepare(
+      "SELECT direction, synced_at FROM sync_timestamps WHERE owner = ? AND repo = ? AND issue_number = ?"
+    ),
+    touchForumTag: db.prepare(
+      "INSERT OR REPLACE INTO forum_tag_usage (forum_id, tag_id, last_used_at) VALUES (?, ?, ?)"
+    ),
+    getForumTagUsage: db.prepare("SELECT tag_id, last_used_at FROM forum_tag_usage WHERE forum_id = ?"),
+    deleteForumTagUsage: db.prepare("DELETE FROM forum_tag_usage WHERE forum_id = ? AND tag_id = ?"),
+    addReleaseTag: db.prepare(
+      "INSERT OR IGNORE INTO release_tags (forum_id, tag_id, tag_name, created_at) VALUES (?, ?, ?, ?)"
+    ),
+    hasReleaseTag: db.prepare("SELECT 1 FROM release_tags WHERE forum_id = ? AND tag_id = ?"),
+    recordBridgeTagChange: db.prepare(
+      "INSERT OR REPLACE INTO bridge_tag_changes (thread_id, tag_id, changed_at) VALUES (?, ?, ?)"
+    ),
+    getBridgeTagChange: db.prepare(
+      "SELECT changed_at FROM bridge_tag_changes WHERE thread_id = ? AND tag_id = ?"
+    ),
+    deleteBridgeTagChange: db.prepare("DELETE FROM bridge_tag_changes WHERE thread_id = ? AND tag_id = ?"),
+    getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    setMeta: db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)"),
+    enqueueJob: db.prepare(`
+      INSERT INTO jobs (type, ordering_key, payload, next_run_at, created_at, updated_at)
+      VALUES (@type, @orderingKey, @payload, @now, @now, @now)
+    `),
+    getJob: db.prepare("SELECT * FROM jobs WHERE id = ?"),
+    // Runnable jobs are the oldest unfinished job of their ordering key
+    getRunnableJobs: db.prepare(`
+      SELECT * FROM jobs j
+      WHERE j.status = 'pending' AND j.next_run_at <= ?
+        AND NOT EXISTS (
+          SELECT 1 FROM jobs e
+          WHERE e.ordering_key = j.ordering_key
+            AND e.status IN ('pending', 'running')
+            AND (e.id < j.id OR e.status = 'running')
+        )
+      ORDER BY j.id
+      LIMIT ?
+    `),
+    setJobRunning: db.prepare(
+      "UPDATE jobs SET status = 'running', updated_at = ? WHERE id = ? AND status = 'pending'"
+    ),
+    completeJob: db.prepare("UPDATE jobs SET status = 'done', updated_at = ? WHERE id = ?"),
+    retryJob: db.prepare(`
+      UPDATE jobs SET status = 'pending', attempts = attempts + 1, next_run_at = ?, last_error = ?, updated_at = ?
+      WHERE id = ?
+    `),
+    deadJob: db.prepare(`
+      UPDATE jobs SET status = 'dead', attempts = attempts + 1, last_error = ?, updated_at = ?
+      WHERE id = ?
+    `),
+    replayJob: db.prepare(`
+      UPDATE jobs SET status = 'pending', attempts = 0, next_run_at = ?, last_error = NULL, updated_at = ?
+      WHERE id = ? AND status IN ('dead', 'done')
+    `),
+    listJobs: db.prepare("SELECT * FROM jobs WHERE status = ? ORDER BY id LIMIT ?"),
+    countJobs: db.prepare("SELECT status, COUNT(*) AS count FROM jobs GROUP BY status"),
+    resetRunningJobs: db.prepare(
+      "UPDATE jobs SET status = 'pending', updated_at = ? WHERE status = 'running'"
+    ),
+    purgeJobs: db.prepare("DELETE FROM jobs WHERE status = 'done' AND updated_at < ?"),
+  };
+
+  const normalize = (value) => value.toLowerCase();
+
+  const store = {
+    getThreadLink(owner, repo, issueNumber) {
+      return toThreadLink(statements.getThread.get(normalize(owner), normalize(repo), issueNumber));
+    },
+
+    getThreadLinksByThreadId(threadId) {
+      return statements.getThreadsByThreadId.all(threadId).map(toThreadLink);
+    },
+
+    setThreadLink(owner, repo, issueNumber, entry) {
+      const { threadId, ...data } = entry;
+      statements.setThread.run({
+        owner: normalize(owner),
+        repo: normalize(repo),
+        issueNumber,
+        threadId,
+        data: JSON.stringify(data),
+        updatedAt: Date.now(),
+      });
+    },
+
+    deleteThreadLink(owner, repo, issueNumber) {
+      statements.deleteThread.run(normalize(owner), normalize(repo), issueNumber);
+    },
+
+    getMessageLink(messageId) {
+      return toMessageLink(statements.getMessage.get(messageId));
+    },
+
+    getCommentMessageLinks(commentId) {
+      return statements.getMessagesByComment.all(commentId).map(toMessageLink);
+    },
+
+    setMessageLink(messageId, link) {
+      statements.setMessage.run({
+        messageId,
+        threadId: link.threadId,
+        owner: link.owner,
+        repo: link.repo,
+        issueNumber: link.issueNumber,
+        commentId: link.commentId,
+        content: link.content,
+        createdTimestamp: link.createdTimestamp || Date.now(),
+        updatedAt: Date.now(),
+      });
+    },
+
+    deleteMessageLink(messageId) {
+      statements.deleteMessage.run(messageId);
+    },
+
+    getCommentEmbedLinks(commentId) {
+      return statements.getCommentEmbeds
+        .all(commentId)
+        .map((row) => ({ threadId: row.thread_id, messageId: row.message_id }));
+    },
+
+    addCommentEmbedLink(commentId, link) {
+      statements.addCommentEmbed.run(commentId, link.threadId, link.messageId, Date.now());
+    },
+
+    deleteCommentEmbedLinks(commentId) {
+      statements.deleteCommentEmbeds.run(commentId);
+    },
+
+    hasProcessedDelivery(deliveryId) {
+      return Boolean(statements.hasDelivery.get(deliveryId));
+    },
+
+    // Returns false when the delivery ID was already recorded
+    recordDelivery(deliveryId, event, { installationId = null, payload = null } = {}) {
+      const result = statements.recordDelivery.run(
+        deliveryId,
+        event,
+        installationId,
+        payload ? JSON.stringify(payload) : null,
+        Date.now()
+      );
+      return result.changes === 1;
+    },
+
+    getDelivery(deliveryId) {
+      return toDelivery(statements.getDelivery.get(deliveryId));
+    },
+
+    listDeliveries(limit = 20) {
+      return statements.listDeliveries.all(limit).map(toDelivery);
+    },
+
+    purgeDeliveries(before) {
+      return db.transaction(() => {
+        statements.purgeNotices.run(before);
+        return statements.purgeDeliveries.run(before).changes;
+      })();
+    },
+
+    markDeliveryProcessed(deliveryId) {
+      statements.markDeliveryProcessed.run(Date.now(), deliveryId);
+    },
+
+    setDeliveryJob(deliveryId, jobId) {
+      statements.setDeliveryJob.run(jobId, deliveryId);
+    },
+
+    hasPostedNotice(deliveryId, threadId, notice) {
+      return Boolean(statements.hasNotice.get(deliveryId, threadId, notice));
+    },
+
+    recordPostedNotice(deliveryId, threadId, notice, messageId) {
+      statements.addNotice.run(deliveryId, threadId, notice, messageId, Date.now());
+    },
+
+    setSyncTimestamp(owner, repo, issueNumber, direction) {
+      statements.setSyncTimestamp.run(normalize(owner), normalize(repo), issueNumber, direction, Date.now());
+    },
+
+    getSyncTimestamps(owner, repo, issueNumber) {
+      const rows = statements.getSyncTimestamps.all(normalize(owner), normalize(repo), issueNumber);
+      return Object.fromEntries(rows.map((row) => [row.direction, row.synced_at]));
+    },
+
+    touchForumTags(forumId, tagIds) {
+      const now = Date.now();
+      db.transaction(() => {
+        for (const tagId of tagIds) statements.touchForumTag.run(forumId, tagId, now);
+      })();
+    },
+
+    // Tag ID → last time a thread was given the tag
+    getForumTagUsage(forumId) {
+      return new Map(statements.getForumTagUsage.all(forumId).map((row) => [row.tag_id, row.last_used_at]));
+    },
+
+    deleteForumTagUsage(forumId, tagId) {
+      statements.deleteForumTagUsage.run(forumId, tagId);
+    },
+
+    addReleaseTag(forumId, tagId, tagName) {
+      statements.addReleaseTag.run(forumId, tagId, tagName, Date.now());
+    },
+
+    isReleaseTag(forumId, tagId) {
+      return Boolean(statements.hasReleaseTag.get(forumId, tagId));
+    },
+
+    recordBridgeTagChanges(threadId, tagIds) {
+      const now = Date.now();
+      db.transaction(() => {
+        for (const tagId of tagIds) statements.recordBridgeTagChange.run(threadId, tagId, now);
+      })();
+    },
+
+    // Removes and returns the tag IDs recorded since `since`; older records are dropped too
+    takeBridgeTagChanges(threadId, tagIds, since) {
+      return db.transaction(() =>
+        tagIds.filter((tagId) => {
+          const row = statements.getBridgeTagChange.get(threadId, tagId);
+          if (row) statements.deleteBridgeTagChange.run(threadId, tagId);
+          return Boolean(row) && row.changed_at >= since;
+        })
+      )();
+    },
+
+    getMeta(key) {
+      return statements.getMeta.get(key)?.value ?? null;
+    },
+
+    setMeta(key, value) {
+      statements.setMeta.run(key, value);
+    },
+
+    enqueueJob(type, orderingKey, payload) {
+      const result = statements.enqueueJob.run({
+        type,
+        orderingKey,
+        payload: JSON.stringify(payload),
+        now: Date.now(),
+      });
+      return Number(result.lastInsertRowid);
+    },
+
+    getJob(id) {
+      return toJob(statements.getJob.get(id));
+    },
+
+    claimRunnableJobs(limit) {
+      return db.transaction(() => {
+        const now = Date.now();
+        return statements.getRunnableJobs
+          .all(now, limit)
+          .filter((row) => statements.setJobRunning.run(now, row.id).changes === 1)
+          .map(toJob);
+      })();
+    },
+
+    completeJob(id) {
+      statements.completeJob.run(Date.now(), id);
+    },
+
+    retryJob(id, nextRunAt, error) {
+      statements.retryJob.run(nextRunAt, error, Date.now(), id);
+    },
+
+    deadJob(id, error) {
+      statements.deadJob.run(error, Date.now(), id);
+    },
+
+    replayJob(id) {
+      const now = Date.now();
+      return statements.replayJob.run(now, now, id).changes === 1;
+    },
+
+    listJobs(status, limit = 100) {
+      return statements.listJobs.all(status, limit).map(toJob);
+    },
+
+    countJobs() {
+      return Object.fromEntries(statements.countJobs.all().map((row) => [row.status, row.count]));
+    },
+
+    resetRunningJobs() {
+      return statements.resetRunningJobs.run(Date.now()).changes;
+    },
+
+    purgeJobs(before) {
+      return statements.purgeJobs.run(before).changes;
+    },
+
+    transaction(fn) {
+      return db.transaction(fn)();
+    },
+
+    close() {
+      db.close();
+    },
+  };
+
+  return store;
+}
+
+// One-off import of the JSON file the bridge used before the SQLite store
+function migrateThreadCacheFile(store, filePath) {
+  if (store.getMeta("thread_cache_migrated")) return;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      logEvent("error", "store.migrate.error", { path: filePath, error: formatError(err) });
+      return;
+    }
+    store.setMeta("thread_cache_migrated", new Date().toISOString());
+    return;
+  }
+
+  const entries = parsed?.entries || parsed || {};
+  let threadCount = 0;
+  let messageCount = 0;
+  let commentCount = 0;
+
+  store.transaction(() => {
+    for (const [key, value] of Object.entries(entries)) {
+      const match = key.match(/^([^/]+)\/(.+)#(\d+)$/);
+      if (!match || !value?.threadId) continue;
+      store.setThreadLink(match[1], match[2], parseInt(match[3], 10), value);
+      threadCount += 1;
+    }
+    for (const [messageId, value] of Object.entries(parsed?.messages || {})) {
+      if (!value?.commentId) continue;
+      store.setMessageLink(messageId, value);
+      messageCount += 1;
+    }
+    for (const [commentId, links] of Object.entries(parsed?.comments || {})) {
+      if (!Array.isArray(links)) continue;
+      for (const link of links) {
+        store.addCommentEmbedLink(parseInt(commentId, 10), link);
+        commentCount += 1;
+      }
+    }
+    store.setMeta("thread_cache_migrated", new Date().toISOString());
+  });
+
+  fs.renameSync(filePath, `${filePath}.migrated`);
+  logEvent("info", "store.migrate.thread_cache", {
+    path: filePath,
+    threadCount,
+    messageCount,
+    commentCount,
+  });
+}
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const { databasePath, legacyThreadCachePath } = getConfig().storage;
+    store = createStore(databasePath);
+    logEvent("info", "store.open", { path: databasePath });
+    migrateThreadCacheFile(store, legacyThreadCachePath);
+  }
+  return store;
+}
+
+module.exports = {
+  createStore,
+  getStore,
+};
@@ -0,0 +1,109 @@
+const { getForumsForRepo } = require("./forumRoutes.js");
+const { getLabelMapping } = require("./labelMappings.js");
+
+// Which issues and Discord posts start a sync, from the "filters" section of
+// the config and of each guild/forum route (a forum's rules override its
+// guild's, which override the global ones, key by key):
+//   "filters": {
+//     "issues": { "repos": ["owner/*"], "excludeRepos": ["owner/secret"],
+//                 "labels": ["community"], "excludeLabels": ["security"],
+//                 "authorAssociations": ["OWNER", "MEMBER", "CONTRIBUTOR"] },
+//     "discordPosts": { "tags": ["Bug"], "excludeTags": ["Off-topic"],
+//                       "roles": ["Maintainer", "123456789012345678"], "excludeRoles": [] }
+//   }
+// "labels" and "tags" need any one match; the exclude lists veto. Filters only
+// decide whether a new thread or issue is created; existing links keep syncing.
+function matchesRepo(patterns, owner, repo) {
+  return patterns.some((pattern) => {
+    const [patternOwner, patternRepo] = pattern.toLowerCase().split("/");
+    return (
+      patternOwner === owner.toLowerCase() &&
+      (patternRepo === "*" || patternRepo === repo.toLowerCase())
+    );
+  });
+}
+
+// Aliased labels count as their canonical label, so filters can name either
+function normalizeLabel(name) {
+  return (getLabelMapping(name)?.label || name).toLowerCase();
+}
+
+function includesName(names, candidates, normalize = (name) => name.toLowerCase()) {
+  const wanted = new Set(names.map(normalize));
+  return candidates.find((candidate) => wanted.has(normalize(candidate))) || null;
+}
+
+// Returns null when the issue may be bridged, else the reason it may not
+function checkIssueFilter(filter, issue, owner, repo) {
+  if (!filter) return null;
+  const labels = (issue.labels || []).map((label) => label.name);
+
+  if (filter.repos && !matchesRepo(filter.repos, owner, repo)) {
+    return `repository ${owner}/${repo} is not in filters.issues.repos`;
+  }
+  if (filter.excludeRepos && matchesRepo(filter.excludeRepos, owner, repo)) {
+    return `repository ${owner}/${repo} is excluded`;
+  }
+  if (filter.labels && !includesName(filter.labels, labels, normalizeLabel)) {
+    return `issue has none of the labels ${filter.labels.join(", ")}`;
+  }
+  const excludedLabel = filter.excludeLabels && includesName(filter.excludeLabels, labels, normalizeLabel);
+  if (excludedLabel) {
+    return `label ${excludedLabel} is excluded`;
+  }
+  if (filter.authorAssociations && !filter.authorAssociations.includes(issue.author_association)) {
+    return `author association ${issue.author_association} is not allowed`;
+  }
+  return null;
+}
+
+// Whether the filter only lets issues through that carry this label
+function requiresLabel(filter, labelName) {
+  return Boolean(filter?.labels && includesName(filter.labels, [labelName], normalizeLabel));
+}
+
+// Roles match by ID or name
+function checkDiscordPostFilter(filter, { tagNames = [], roles = [] }) {
+  if (!filter) return null;
+  const roleKeys = roles.flatMap((role) => [role.id, role.name]);
+
+  if (filter.tags && !includesName(filter.tags, tagNames)) {
+    return `post has none of the tags ${filter.tags.join(", ")}`;
+  }
+  const excludedTag = filter.excludeTags && includesName(filter.excludeTags, tagNames);
+  if (excludedTag) {
+    return `tag ${excludedTag} is excluded`;
+  }
+  if (filter.roles && !includesName(filter.roles, roleKeys)) {
+    return `author has none of the roles ${filter.roles.join(", ")}`;
+  }
+  const excludedRole = filter.excludeRoles && includesName(filter.excludeRoles, roleKeys);
+  if (excludedRole) {
+    return `role ${excludedRole} is excluded`;
+  }
+  return null;
+}
+
+// Forums routed to the issue's repository whose filters accept it, in
+// getForumsForRepo order; `rejected` explains the others
+function getForumsForIssue(issue, owner, repo) {
+  const accepted = [];
+  const rejected = [];
+  for (const route of getForumsForRepo(owner, repo)) {
+    const reason = checkIssueFilter(route.filters.issues, issue, owner, repo);
+    if (reason) {
+      rejected.push({ forumId: route.forumId, reason });
+    } else {
+      accepted.push(route);
+    }
+  }
+  return { accepted, rejected };
+}
+
+module.exports = {
+  matchesRepo,
+  checkIssueFilter,
+  requiresLabel,
+  checkDiscordPostFilter,
+  getForumsForIssue,
+};
@@ -0,0 +1,88 @@
+const { getStore } = require("./store.js");
+const { logEvent } = require("./logging.js");
+
+// In-process keyed mutex. The job queue already orders work within one
+// direction (one ordering key per thread or issue); these locks make a GitHub
+// delivery and a Discord event that touch the same thread/issue pair wait for
+// each other too. All keys of one caller are queued in a single synchronous
+// step, so callers taking several keys cannot deadlock one another.
+const lockTails = new Map();
+const LOCK_WAIT_WARN_MS = 30 * 1000;
+
+function getThreadLockKey(threadId) {
+  return `thread:${threadId}`;
+}
+
+function getIssueLockKey(owner, repo, issueNumber) {
+  return `issue:${owner}/${repo}#${issueNumber}`.toLowerCase();
+}
+
+// Resolves to a release function once every key is held
+function acquireLocks(keys) {
+  const uniqueKeys = [...new Set(keys)];
+  let release;
+  const released = new Promise((resolve) => {
+    release = resolve;
+  });
+
+  const previous = uniqueKeys.map((key) => {
+    const tail = lockTails.get(key);
+    lockTails.set(key, released);
+    return tail;
+  });
+
+  const startedAt = Date.now();
+  return Promise.all(previous).then(() => {
+    const waitedMs = Date.now() - startedAt;
+    if (waitedMs >= LOCK_WAIT_WARN_MS) {
+      logEvent("warn", "sync.lock.slow", { keys: uniqueKeys, waitedMs });
+    }
+
+    return () => {
+      for (const key of uniqueKeys) {
+        if (lockTails.get(key) === released) lockTails.delete(key);
+      }
+      release();
+    };
+  });
+}
+
+async function withLocks(keys, fn) {
+  const release = await acquireLocks(keys);
+  try {
+    return await fn();
+  } finally {
+    release();
+  }
+}
+
+// A thread is locked together with every issue it is linked to, and an issue
+// together with its thread, so both directions contend on the same keys
+function withThreadLock(threadId, fn) {
+  const links = getStore().getThreadLinksByThreadId(threadId);
+  return withLocks(
+    [
+      getThreadLockKey(threadId),
+      ...links.map((link) => getIssueLockKey(link.owner, link.repo, link.issueNumber)),
+    ],
+    fn
+  );
+}
+
+function withIssueLock(owner, repo, issueNumber, fn) {
+  const link = getStore().getThreadLink(owner, repo, issueNumber);
+  return withLocks(
+    [
+      getIssueLockKey(owner, repo, issueNumber),
+      ...(link ? [getThreadLockKey(link.threadId)] : []),
+    ],
+    fn
+  );
+}
+
+module.exports = {
+  acquireLocks,
+  getIssueLockKey,
+  withThreadLock,
+  withIssueLock,
+};
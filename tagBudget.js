@@ -0,0 +1,108 @@
+const { getStore } = require("./store.js");
+const { getConfig } = require("./config.js");
+const { getLabelMapping } = require("./labelMappings.js");
+const { logEvent } = require("./logging.js");
+
+// Discord caps applied tags per thread and available tags per forum. Labels
+// compete for a thread's slots by their configured priority ("labels.<name>.
+// priority", default 0), and when a forum is full the tag no thread carries
+// and the bridge used least recently is retired to make room.
+const BRIDGE_TAG_CHANGE_TTL_MS = 60 * 60 * 1000;
+
+function getLabelPriority(labelName) {
+  return getLabelMapping(labelName)?.priority ?? 0;
+}
+
+// Highest priority first; equal priorities keep their order on the issue
+function sortLabelsByPriority(labelNames) {
+  return labelNames
+    .map((name, index) => ({ name, index, priority: getLabelPriority(name) }))
+    .sort((a, b) => b.priority - a.priority || a.index - b.index)
+    .map((entry) => entry.name);
+}
+
+function recordTagUse(forumId, tagIds) {
+  if (!forumId || tagIds.length === 0) return;
+  getStore().touchForumTags(forumId, tagIds);
+}
+
+// Sets a thread's tags and records what the bridge added or dropped, so the
+// ThreadUpdate it causes is not mistaken for a user changing labels
+async function setThreadTags(thread, tagIds) {
+  const applied = thread.appliedTags || [];
+  const changed = [
+    ...tagIds.filter((id) => !applied.includes(id)),
+    ...applied.filter((id) => !tagIds.includes(id)),
+  ];
+  if (changed.length === 0) return;
+  getStore().recordBridgeTagChanges(thread.id, changed);
+  await thread.setAppliedTags(tagIds);
+}
+
+// The given tag IDs that changed because the bridge set them, each consumed once
+function takeBridgeTagChanges(threadId, tagIds) {
+  if (tagIds.length === 0) return [];
+  return getStore().takeBridgeTagChanges(threadId, tagIds, Date.now() - BRIDGE_TAG_CHANGE_TTL_MS);
+}
+
+// Tags applied to any of the forum's threads, archived ones included
+async function getTagsInUse(forum) {
+  const inUse = new Set();
+  const addThreads = (threads) => {
+    for (const thread of threads.values()) {
+      for (const tagId of thread.appliedTags || []) inUse.add(tagId);
+    }
+  };
+
+  addThreads((await forum.threads.fetchActive(false)).threads);
+  let before;
+  for (;;) {
+    const { threads, hasMore } = await forum.threads.fetchArchived({ before, limit: 100 }, false);
+    addThreads(threads);
+    const oldest = [...threads.values()].at(-1);
+    if (!hasMore || !oldest?.archivedAt) break;
+    before = oldest.archivedAt;
+  }
+  return inUse;
+}
+
+// Returns the refetched forum once a tag is gone, or null when every tag is
+// protected, moderated or still applied to a thread
+async function retireForumTag(forum, isProtected) {
+  const { retireUnused, protectedTags } = getConfig().discord.tagBudget;
+  if (!retireUnused) return null;
+
+  const protectedNames = new Set(protectedTags.map((name) => name.toLowerCase()));
+  const inUse = await getTagsInUse(forum);
+  const usage = getStore().getForumTagUsage(forum.id);
+
+  const [retired] = forum.availableTags
+    .filter(
+      (tag) =>
+        !tag.moderated &&
+        !inUse.has(tag.id) &&
+        !protectedNames.has(tag.name.toLowerCase()) &&
+        !isProtected(tag)
+    )
+    .sort((a, b) => (usage.get(a.id) ?? 0) - (usage.get(b.id) ?? 0));
+  if (!retired) return null;
+
+  await forum.setAvailableTags(forum.availableTags.filter((tag) => tag.id !== retired.id));
+  getStore().deleteForumTagUsage(forum.id, retired.id);
+  logEvent("info", "discord.forum.tag.retire", {
+    forumId: forum.id,
+    tagId: retired.id,
+    tagName: retired.name,
+    lastUsedAt: usage.get(retired.id) ?? null,
+  });
+  return forum.fetch();
+}
+
+module.exports = {
+  getLabelPriority,
+  sortLabelsByPriority,
+  recordTagUse,
+  setThreadTags,
+  takeBridgeTagChanges,
+  retireForumTag,
+};
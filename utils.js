@@ -1,45 +1,58 @@
-const { Client, GatewayIntentBits } = require("discord.js");
-const { env } = require("process");
-const fs = require("fs/promises");
-const path = require("path");
+const { Client, GatewayIntentBits, Partials } = require("discord.js");
+const { logEvent, formatError } = require("./logging.js");
+const { getStore } = require("./store.js");
+const { version: BRIDGE_VERSION } = require("./package.json");
+const { getForumRoutes, getForumRoute, getForumsForRepo } = require("./forumRoutes.js");
+const { getConfig } = require("./config.js");
+const {
+  getLabelMapping,
+  getTagMapping,
+  getTagNameForLabel,
+  getLabelForTagName,
+  getLabelsForTagName,
+} = require("./labelMappings.js");
+const { sortLabelsByPriority, recordTagUse, setThreadTags, retireForumTag } = require("./tagBudget.js");
+const { redactText } = require("./safety.js");
 
 const DISCORD_INTENTS = [
   GatewayIntentBits.GuildMessages,
   GatewayIntentBits.DirectMessages,
   GatewayIntentBits.Guilds,
   GatewayIntentBits.MessageContent,
+  GatewayIntentBits.GuildMessageReactions,
 ];
 
-const SYNC_LABEL = "🔵-synced";
-const REPO_TAG_EMOJI = env.REPO_TAG_EMOJI?.trim() || "🧭";
-const CLOSED_TAG_NAME = env.CLOSED_TAG_NAME || "closed";
-const CLOSED_TAG_EMOJI = env.CLOSED_TAG_EMOJI || "✅";
+// Discord emoji that have a GitHub reaction counterpart
+const REACTION_EMOJI_TO_GITHUB = {
+  "👍": "+1",
+  "👎": "-1",
+  "❤️": "heart",
+  "🎉": "hooray",
+  "🚀": "rocket",
+  "👀": "eyes",
+};
+
 const CLOSED_TAG_LEGACY_NAME = "✅closed";
-const THREAD_CACHE_PATH = env.THREAD_CACHE_PATH || path.join(process.cwd(), "thread-cache.json");
-const THREAD_CACHE_SAVE_DELAY_MS = 2000;
-
-function logEvent(level, event, meta = {}) {
-  const payload = { time: new Date().toISOString(), level, event, ...meta };
-  const output = JSON.stringify(payload);
-  if (level === "error") {
-    console.error(output);
-  } else if (level === "warn") {
-    console.warn(output);
-  } else {
-    console.log(output);
-  }
+
+// Read through the config on every call so a hot reload takes effect
+function getSyncLabel() {
+  return getConfig().github.syncLabel;
 }
 
-function formatError(err) {
-  if (!err) return null;
-  return {
-    name: err.name,
-    message: err.message,
-    status: err.status,
-    stack: err.stack,
-    requestUrl: err.request?.url,
-    responseStatus: err.response?.status,
-  };
+function getRepoTagEmoji() {
+  return getConfig().discord.repoTagEmoji;
+}
+
+function getClosedTagName() {
+  return getConfig().discord.closedTag.name;
+}
+
+function getClosedTagEmoji() {
+  return getConfig().discord.closedTag.emoji;
+}
+
+function getTagLimits() {
+  return getConfig().discord.tagLimits;
 }
 
 function getTagEmojiName(tag) {
@@ -49,24 +62,33 @@ function getTagEmojiName(tag) {
 }
 
 function isRepoSelectorTag(tag) {
-  return getTagEmojiName(tag) === REPO_TAG_EMOJI;
+  return getTagEmojiName(tag) === getRepoTagEmoji();
 }
 
 function isClosedTagName(name) {
   if (!name) return false;
   const normalized = name.toLowerCase();
   return (
-    normalized === CLOSED_TAG_NAME.toLowerCase() ||
+    normalized === getClosedTagName().toLowerCase() ||
     normalized === CLOSED_TAG_LEGACY_NAME.toLowerCase()
   );
 }
 
 function isClosedTag(tag) {
   if (!tag) return false;
-  if (getTagEmojiName(tag) === CLOSED_TAG_EMOJI) return true;
+  if (getTagEmojiName(tag) === getClosedTagEmoji()) return true;
   return isClosedTagName(tag.name);
 }
 
+// Release tags name a version, not a label, so they never sync to GitHub
+function markReleaseTag(forumId, tag) {
+  getStore().addReleaseTag(forumId, tag.id, tag.name);
+}
+
+function isReleaseTag(forumId, tag) {
+  return Boolean(tag) && getStore().isReleaseTag(forumId, tag.id);
+}
+
 function findClosedForumTag(forum) {
   return forum.availableTags.find((tag) => isClosedTag(tag)) || null;
 }
@@ -75,103 +97,110 @@ async function getOrCreateClosedForumTag(forum) {
   const existing = findClosedForumTag(forum);
   if (existing) {
     const hasLegacyName = existing.name?.toLowerCase() === CLOSED_TAG_LEGACY_NAME.toLowerCase();
-    if (!hasLegacyName && getTagEmojiName(existing) !== CLOSED_TAG_EMOJI) {
-      await getOrCreateForumTag(forum, existing.name, CLOSED_TAG_EMOJI);
+    if (!hasLegacyName && getTagEmojiName(existing) !== getClosedTagEmoji()) {
+      await getOrCreateForumTag(forum, existing.name, getClosedTagEmoji());
       return findClosedForumTag(await forum.fetch());
     }
     return existing;
   }
-  return getOrCreateForumTag(forum, CLOSED_TAG_NAME, CLOSED_TAG_EMOJI);
+  return getOrCreateForumTag(forum, getClosedTagName(), getClosedTagEmoji());
 }
 
-const threadCache = new Map();
-let threadCacheLoaded = false;
-let threadCacheSaveTimer = null;
+async function getThreadCacheEntry(owner, repo, issueNumber) {
+  if (!owner || !repo || !issueNumber) return null;
+  return getStore().getThreadLink(owner, repo, issueNumber);
+}
 
-function getThreadCacheKey(owner, repo, issueNumber) {
-  return `${owner.toLowerCase()}/${repo.toLowerCase()}#${issueNumber}`;
+async function setThreadCacheEntry(owner, repo, issueNumber, entry) {
+  if (!owner || !repo || !issueNumber || !entry?.threadId) return;
+  getStore().setThreadLink(owner, repo, issueNumber, entry);
 }
 
-async function loadThreadCache() {
-  if (threadCacheLoaded) return;
-  threadCacheLoaded = true;
-  try {
-    const raw = await fs.readFile(THREAD_CACHE_PATH, "utf8");
-    const parsed = JSON.parse(raw);
-    const entries = parsed?.entries || parsed;
-    if (entries && typeof entries === "object") {
-      for (const [key, value] of Object.entries(entries)) {
-        if (value && value.threadId) {
-          threadCache.set(key, value);
-        }
-      }
-    }
-    logEvent("info", "thread_cache.load", { path: THREAD_CACHE_PATH, count: threadCache.size });
-  } catch (err) {
-    if (err.code !== "ENOENT") {
-      logEvent("error", "thread_cache.load.error", {
-        path: THREAD_CACHE_PATH,
-        error: formatError(err),
-      });
-    }
-  }
+async function deleteThreadCacheEntry(owner, repo, issueNumber) {
+  if (!owner || !repo || !issueNumber) return;
+  getStore().deleteThreadLink(owner, repo, issueNumber);
 }
 
-function scheduleThreadCacheSave() {
-  if (threadCacheSaveTimer) return;
-  threadCacheSaveTimer = setTimeout(() => {
-    threadCacheSaveTimer = null;
-    saveThreadCache().catch((err) => {
-      logEvent("error", "thread_cache.save.error", {
-        path: THREAD_CACHE_PATH,
-        error: formatError(err),
-      });
-    });
-  }, THREAD_CACHE_SAVE_DELAY_MS);
+// Links a Discord message to the GitHub comment it was written into. Several
+// messages can share one comment when consecutive messages get appended.
+async function getMessageLink(messageId) {
+  if (!messageId) return null;
+  return getStore().getMessageLink(messageId);
 }
 
-async function saveThreadCache() {
-  const payload = { entries: Object.fromEntries(threadCache) };
-  await fs.writeFile(THREAD_CACHE_PATH, JSON.stringify(payload, null, 2));
-  logEvent("info", "thread_cache.save", { path: THREAD_CACHE_PATH, count: threadCache.size });
+async function setMessageLink(messageId, link) {
+  if (!messageId || !link?.commentId) return;
+  getStore().setMessageLink(messageId, link);
 }
 
-async function getThreadCacheEntry(owner, repo, issueNumber) {
-  if (!owner || !repo || !issueNumber) return null;
-  await loadThreadCache();
-  return threadCache.get(getThreadCacheKey(owner, repo, issueNumber)) || null;
+async function deleteMessageLink(messageId) {
+  if (!messageId) return;
+  getStore().deleteMessageLink(messageId);
 }
 
-async function setThreadCacheEntry(owner, repo, issueNumber, entry) {
-  if (!owner || !repo || !issueNumber || !entry?.threadId) return;
-  await loadThreadCache();
-  threadCache.set(getThreadCacheKey(owner, repo, issueNumber), {
-    ...entry,
-    updatedAt: Date.now(),
-  });
-  scheduleThreadCacheSave();
+async function getCommentMessageLinks(commentId) {
+  if (!commentId) return [];
+  return getStore().getCommentMessageLinks(commentId);
 }
 
-async function deleteThreadCacheEntry(owner, repo, issueNumber) {
+// Links a GitHub comment to the Discord embeds it was posted as (one per thread)
+async function getCommentEmbedLinks(commentId) {
+  if (!commentId) return [];
+  return getStore().getCommentEmbedLinks(commentId);
+}
+
+async function addCommentEmbedLink(commentId, link) {
+  if (!commentId || !link?.threadId || !link?.messageId) return;
+  getStore().addCommentEmbedLink(commentId, link);
+}
+
+async function deleteCommentEmbedLinks(commentId) {
+  if (!commentId) return;
+  getStore().deleteCommentEmbedLinks(commentId);
+}
+
+// Sends a notice at most once per webhook delivery and thread, so a retried
+// job does not repeat what an earlier attempt already posted. `notice` tells
+// apart several notices one delivery sends to the same thread.
+async function sendThreadNotice(thread, deliveryId, notice, message) {
+  if (deliveryId && getStore().hasPostedNotice(deliveryId, thread.id, notice)) return null;
+  const sent = await thread.send(message);
+  if (deliveryId) getStore().recordPostedNotice(deliveryId, thread.id, notice, sent.id);
+  return sent;
+}
+
+async function markIssueSynced(owner, repo, issueNumber, direction) {
   if (!owner || !repo || !issueNumber) return;
-  await loadThreadCache();
-  threadCache.delete(getThreadCacheKey(owner, repo, issueNumber));
-  scheduleThreadCacheSave();
+  getStore().setSyncTimestamp(owner, repo, issueNumber, direction);
 }
 
-function getTargetRepo() {
-  if (!env.TARGET_REPO) {
-    throw new Error("TARGET_REPO env var not set");
-  }
-  return env.TARGET_REPO;
+// "remove" strips deleted messages from GitHub, "marker" leaves a note in their place
+function getDeletedMessagePolicy(threadId) {
+  const { deletedMessage, deletedMessageMarkerThreadIds } = getConfig().policies;
+  if (deletedMessageMarkerThreadIds.includes(threadId)) return "marker";
+  return deletedMessage;
 }
 
-function getDefaultRepo() {
-  const [owner, repo] = getTargetRepo().split("/");
-  if (!owner || !repo) {
-    throw new Error("TARGET_REPO must be in owner/repo format");
+// What a deleted, or deliberately archived or locked, forum thread does to its issue: "close", "unsync" or "none"
+function getThreadLifecyclePolicy(kind) {
+  const { threadDelete, threadArchive } = getConfig().policies;
+  return kind === "delete" ? threadDelete : threadArchive;
+}
+
+async function getThreadCacheEntriesByThread(threadId) {
+  if (!threadId) return [];
+  return getStore().getThreadLinksByThreadId(threadId);
+}
+
+// The default repo of the given forum's route, else of the first route
+function getDefaultRepo(forumId = null) {
+  const route = getForumRoute(forumId) || getForumRoutes()[0];
+  if (!route) {
+    throw new Error(
+      "No forum routes configured: add routes.forums to the config file or set DISCORD_INPUT_FORUM_CHANNEL_ID and TARGET_REPO"
+    );
   }
-  return { owner, repo };
+  return { ...route.defaultRepo };
 }
 
 function getRepoOwner() {
@@ -196,17 +225,20 @@ function getRandomColor(seedString) {
 }
 
 function createDiscordClient() {
-  return new Client({ intents: DISCORD_INTENTS });
+  return new Client({
+    intents: DISCORD_INTENTS,
+    partials: [Partials.Message, Partials.Reaction, Partials.User],
+  });
 }
 
 function isForumThread(channel) {
-  return channel.parentId === env.DISCORD_INPUT_FORUM_CHANNEL_ID;
+  return Boolean(getForumRoute(channel.parentId));
 }
 
 function processMessageContent(message) {
   let content = message.content;
   const mentions = message.mentions;
-  const serverId = env.DISCORD_SERVER_ID;
+  const serverId = message.guildId || getConfig().discord.serverId;
 
   content = content.replace(/<#(\d+)>/g, (match, id) => {
     const channel = mentions.channels.get(id);
@@ -292,26 +324,191 @@ async function getSyncedIssueNumbers(channel) {
 }
 
 function hasSyncLabel(issue) {
-  return issue.labels?.some((label) => label.name === SYNC_LABEL);
+  return issue.labels?.some((label) => label.name === getSyncLabel());
+}
+
+// Every GitHub comment and issue body the bridge writes carries a hidden
+// marker at the end of its header line, e.g.
+// <!-- discord-github-bridge {"version":"1.0.0","discordUserId":"1","messageIds":["2"]} -->
+// Loop detection and comment appends read it instead of the visible text.
+const BRIDGE_MARKER_PATTERN = /<!-- discord-github-bridge (\{[^\n]*?\}) -->/;
+
+function formatBridgeMarker(meta) {
+  const json = JSON.stringify({ version: BRIDGE_VERSION, ...meta });
+  // "--" would end the HTML comment early
+  return `<!-- discord-github-bridge ${json.replace(/--/g, "\\u002d\\u002d")} -->`;
+}
+
+function parseBridgeMarker(body) {
+  const match = (body || "").match(BRIDGE_MARKER_PATTERN);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch {
+    return null;
+  }
 }
 
-function formatDiscordAuthorComment(author, messageUrl, content) {
+// Replaces the marker (keeping fields not in meta), or adds one to the header line
+function setBridgeMarker(body, meta) {
+  const marker = formatBridgeMarker({ ...parseBridgeMarker(body), ...meta });
+  if (BRIDGE_MARKER_PATTERN.test(body)) {
+    return body.replace(BRIDGE_MARKER_PATTERN, marker);
+  }
+  const lineEnd = body.indexOf("\n");
+  return lineEnd === -1
+    ? `${body} ${marker}`
+    : `${body.slice(0, lineEnd)} ${marker}${body.slice(lineEnd)}`;
+}
+
+function formatDiscordAuthorComment(author, messageUrl, content, messageIds = []) {
   const avatarUrl = author.avatarURL() || author.defaultAvatarURL;
-  return `[<img src="${avatarUrl}" width="15" height="15"/> **${author.username}** on Discord says](${messageUrl})\n${content}`;
+  const marker = formatBridgeMarker({ discordUserId: author.id, messageIds });
+  return `[<img src="${avatarUrl}" width="15" height="15"/> **${author.username}** on Discord says](${messageUrl}) ${marker}\n${content}`;
+}
+
+// Splits a body written by formatDiscordAuthorComment back into its header line and content
+function splitDiscordAuthorComment(body) {
+  const match = (body || "").match(
+    /^(\[<img [^>]*\/> \*\*.+?\*\* on Discord says\]\([^)\s]*\)(?: · Discord reactions: [^\n<]*?)?(?: <!-- discord-github-bridge [^\n]*? -->)?)(?:\n|$)/
+  );
+  if (!match) return { header: null, content: body || "" };
+  return { header: match[1], content: body.slice(match[0].length) };
+}
+
+// GitHub shows one reaction of each kind from the App however many Discord
+// users reacted, so bodies the bridge wrote also list the Discord counts on
+// their header line (and in the marker). Returns null for any other body.
+function setDiscordReactionCount(body, content, count) {
+  const { header } = splitDiscordAuthorComment(body);
+  if (!header) return null;
+
+  const counts = { ...parseBridgeMarker(body)?.discordReactions, [content]: count };
+  if (count === 0) delete counts[content];
+  const summary = Object.entries(REACTION_EMOJI_TO_GITHUB)
+    .filter(([, name]) => counts[name] > 0)
+    .map(([emoji, name]) => `${emoji} ${counts[name]}`)
+    .join(" · ");
+
+  const [link] = header.match(/^\[<img [^>]*\/> \*\*.+?\*\* on Discord says\]\([^)\s]*\)/);
+  const marker = header.match(BRIDGE_MARKER_PATTERN)?.[0];
+  const newHeader = `${link}${summary ? ` · Discord reactions: ${summary}` : ""}${marker ? ` ${marker}` : ""}`;
+  return setBridgeMarker(`${newHeader}${body.slice(header.length)}`, { discordReactions: counts });
 }
 
-function createSyncEmbed(issueNumber, title, body, htmlUrl, author, repoName) {
+const EMBED_FIELD_LIMIT = 1024;
+// Discord also caps descriptions, and the title, description, field names and
+// values, footer and author name of an embed together
+const EMBED_DESCRIPTION_LIMIT = 4096;
+const EMBED_TOTAL_LIMIT = 6000;
+
+function formatIssueState(issue) {
+  if (issue.state !== "closed") return "🟢 Open";
+  if (issue.state_reason === "not_planned") return "⚪ Closed as not planned";
+  if (issue.state_reason === "duplicate") return "⚪ Closed as duplicate";
+  return "🟣 Closed as completed";
+}
+
+function formatPullRequestState(pullRequest) {
+  if (pullRequest.state === "merged") return "🟣 merged";
+  if (pullRequest.state === "closed") return "🔴 closed";
+  return pullRequest.draft ? "⚪ draft" : "🟢 open";
+}
+
+function joinFieldValue(items, separator) {
+  if (items.length === 0) return "—";
+  let value = "";
+  for (const [index, item] of items.entries()) {
+    const next = value ? `${value}${separator}${item}` : item;
+    const remaining = items.length - index - 1;
+    if (next.length > EMBED_FIELD_LIMIT - 16) {
+      return `${value}${separator}+${remaining + 1} more`;
+    }
+    value = next;
+  }
+  return value;
+}
+
+// "❤" arrives without the variation selector from some clients
+function getGitHubReactionContent(emojiName) {
+  if (!emojiName) return null;
+  return REACTION_EMOJI_TO_GITHUB[emojiName] || REACTION_EMOJI_TO_GITHUB[`${emojiName}\uFE0F`] || null;
+}
+
+function formatReactionTotals(reactions) {
+  const totals = Object.entries(REACTION_EMOJI_TO_GITHUB)
+    .filter(([, content]) => reactions?.[content] > 0)
+    .map(([emoji, content]) => `${emoji} ${reactions[content]}`);
+  return totals.length ? totals.join(" · ") : "—";
+}
+
+function createSyncStatusFields(issue, linkedPullRequests = [], overflowLabels = []) {
+  const assignees = (issue.assignees || []).map((user) => `[${user.login}](${user.html_url})`);
+  const labels = (issue.labels || [])
+    .map((label) => label.name)
+    .filter((name) => name && name !== getSyncLabel())
+    .map((name) => `\`${name}\``);
+  const milestone = issue.milestone
+    ? `[${issue.milestone.title}](${issue.milestone.html_url})`
+    : "—";
+  const pullRequests = linkedPullRequests.map(
+    (pr) => `[#${pr.number} ${pr.title}](${pr.url}) · ${formatPullRequestState(pr)}`
+  );
+
+  return [
+    { name: "Status", value: formatIssueState(issue), inline: true },
+    { name: "Assignees", value: joinFieldValue(assignees, ", "), inline: true },
+    { name: "Milestone", value: milestone, inline: true },
+    { name: "Labels", value: joinFieldValue(labels, " "), inline: false },
+    // Labels that did not fit within the thread's tag limit
+    ...(overflowLabels.length > 0
+      ? [
+          {
+            name: "Labels not shown as tags",
+            value: joinFieldValue(overflowLabels.map((name) => `\`${name}\``), " "),
+            inline: false,
+          },
+        ]
+      : []),
+    { name: "Linked pull requests", value: joinFieldValue(pullRequests, "\n"), inline: false },
+    { name: "Reactions on GitHub", value: formatReactionTotals(issue.reactions), inline: false },
+  ];
+}
+
+function formatSyncLine(issueNumber, htmlUrl, repoName) {
   // Extract owner from issue URL: https://github.com/owner/repo/issues/N
   const urlMatch = htmlUrl.match(/github\.com\/([^/]+)\/([^/]+)/);
   const owner = urlMatch ? urlMatch[1] : '';
   const repoUrl = `https://github.com/${owner}/${repoName}`;
+  return `\`Synced with issue #${issueNumber}\` on [${repoName}](${repoUrl}) · [follow on github](${htmlUrl})`;
+}
+
+// Replaces the sync line so pin lookups stop matching this thread
+function formatUnsyncedLine(issueNumber, htmlUrl, reason) {
+  return `\`Unsynced from issue #${issueNumber}\` · ${reason} · [last seen on github](${htmlUrl})`;
+}
+
+// Shortens the description so the whole embed stays within Discord's limits
+function fitEmbedDescription(embed) {
+  if (!embed.description) return embed;
+  const used = [
+    embed.title,
+    embed.author?.name,
+    embed.footer?.text,
+    ...(embed.fields || []).flatMap((field) => [field.name, field.value]),
+  ].reduce((total, text) => total + (text?.length || 0), 0);
+  const limit = Math.min(EMBED_DESCRIPTION_LIMIT, EMBED_TOTAL_LIMIT - used);
+  if (embed.description.length <= limit) return embed;
+  return { ...embed, description: `${embed.description.slice(0, Math.max(limit - 1, 0))}…` };
+}
 
+function createSyncEmbed(issueNumber, title, body, htmlUrl, author, repoName, fields = []) {
   return {
-    content: `\`Synced with issue #${issueNumber}\` on [${repoName}](${repoUrl}) · [follow on github](${htmlUrl})`,
+    content: formatSyncLine(issueNumber, htmlUrl, repoName),
     embeds: [
-      {
+      fitEmbedDescription({
         title: `#${issueNumber} ${title}`,
-        description: body,
+        description: redactText(body),
         url: htmlUrl,
         color: parseInt(getRandomColor(author.name), 16),
         author: {
@@ -319,16 +516,61 @@ function createSyncEmbed(issueNumber, title, body, htmlUrl, author, repoName) {
           icon_url: author.iconUrl,
           url: author.url || htmlUrl,
         },
-      },
+        fields,
+      }),
+    ],
+  };
+}
+
+// Rebuilds a sent sync message with fresh status fields, keeping its description and author
+function updateSyncEmbed(message, issue, fields, description = undefined) {
+  const [embed] = message.embeds;
+  const data = embed ? embed.toJSON() : {};
+  return {
+    content: message.content,
+    embeds: [
+      fitEmbedDescription({
+        ...data,
+        title: `#${issue.number} ${issue.title}`,
+        url: issue.html_url,
+        description: description === undefined ? data.description : redactText(description) || null,
+        fields,
+      }),
     ],
   };
 }
 
+async function findSyncMessage(thread, issueNumber) {
+  const pinnedResult = await thread.messages.fetchPins();
+  const pinnedMessages = (pinnedResult.items || []).map((item) => item.message);
+  return (
+    pinnedMessages.find((message) => {
+      const match = message.content.match(/`Synced with issue #(\d+)`/i);
+      return match && parseInt(match[1], 10) === issueNumber;
+    }) || null
+  );
+}
+
+async function markThreadUnsynced(client, thread, issue, reason) {
+  const syncMessage = await findSyncMessage(thread, issue.number);
+  if (syncMessage && syncMessage.author.id === client.user.id) {
+    await syncMessage.edit({
+      content: formatUnsyncedLine(issue.number, issue.html_url, reason),
+      embeds: syncMessage.embeds,
+    });
+  }
+  logEvent("info", "discord.thread.unsynced", {
+    issueNumber: issue.number,
+    threadId: thread.id,
+    reason,
+  });
+}
+
 function createCommentEmbed(comment, processedBody = null) {
   return {
     embeds: [
       {
-        description: processedBody || comment.body,
+        description: redactText(processedBody || comment.body),
         url: comment.html_url,
         color: parseInt(getRandomColor(comment.user.login), 16),
         author: {
@@ -341,7 +583,7 @@ function createCommentEmbed(comment, processedBody = null) {
   };
 }
 
-async function processGitHubIssueRefs(client, forumChannelId, content, owner = null, repo = null) {
+async function processGitHubIssueRefs(client, content, owner = null, repo = null) {
   const issueRefPattern = /#(\d+)/g;
   const matches = [...content.matchAll(issueRefPattern)];
 
@@ -354,7 +596,7 @@ async function processGitHubIssueRefs(client, forumChannelId, content, owner = n
     const issueNumber = parseInt(match[1], 10);
     if (issueToThread.has(issueNumber)) continue;
 
-    const threads = await findThreadsForIssue(client, forumChannelId, issueNumber, owner, repo);
+    const threads = await findThreadsForIssue(client, issueNumber, owner, repo);
     if (threads.length > 0) {
       issueToThread.set(issueNumber, threads[0].url);
     }
@@ -372,10 +614,12 @@ function sleep(ms) {
 }
 
 function isSyncLabel(labelName) {
-  return labelName === SYNC_LABEL;
+  return labelName === getSyncLabel();
 }
 
+// Tags mapped from a label get the mapping's emoji unless one is given
 async function getOrCreateForumTag(forum, tagName, emoji = null) {
+  emoji = emoji || getTagMapping(tagName)?.emoji || null;
   const existingTag = forum.availableTags.find(
     (t) => t.name.toLowerCase() === tagName.toLowerCase()
   );
@@ -409,12 +653,15 @@ async function getOrCreateForumTag(forum, tagName, emoji = null) {
     return existingTag;
   }
 
-  // Create new tag (Discord limit: 20 tags per forum)
-  if (forum.availableTags.length >= 20) {
+  const { perForum } = getTagLimits();
+  if (forum.availableTags.length >= perForum) {
+    forum = (await retireForumTag(forum, (tag) => isRepoSelectorTag(tag) || isClosedTag(tag))) || forum;
+  }
+  if (forum.availableTags.length >= perForum) {
     logEvent("warn", "discord.forum.tag.limit", {
       forumId: forum.id,
       tagName,
-      limit: 20,
+      limit: perForum,
     });
     return null;
   }
@@ -428,9 +675,94 @@ async function getOrCreateForumTag(forum, tagName, emoji = null) {
 
   // Refetch to get the new tag with ID
   const updatedForum = await forum.fetch();
-  return updatedForum.availableTags.find(
+  const createdTag = updatedForum.availableTags.find(
     (t) => t.name.toLowerCase() === tagName.toLowerCase()
   );
+  // A fresh tag counts as used so a concurrent retirement does not pick it
+  if (createdTag) recordTagUse(forum.id, [createdTag.id]);
+  return createdTag;
+}
+
+// Labels that become forum tags: all but the sync, repo-name and closed labels
+function getTaggableLabels(issue, repo) {
+  return (issue.labels || [])
+    .map((label) => label.name)
+    .filter((name) => name && !isSyncLabel(name) && name !== repo && !isClosedTagName(name));
+}
+
+// Finds or creates the tags for the issue's labels, best first, until the
+// slots run out; labels sharing a tag through aliases take one slot
+async function resolveLabelTags(forum, issue, repo, slots) {
+  const tagIds = [];
+  const overflow = [];
+  const seenTagNames = new Set();
+  for (const label of sortLabelsByPriority(getTaggableLabels(issue, repo))) {
+    const tagName = getTagNameForLabel(label);
+    if (seenTagNames.has(tagName.toLowerCase())) continue;
+    seenTagNames.add(tagName.toLowerCase());
+
+    const tag = tagIds.length < slots ? await getOrCreateForumTag(forum, tagName) : null;
+    if (tag && !tagIds.includes(tag.id)) {
+      tagIds.push(tag.id);
+    } else if (!tag) {
+      overflow.push(label);
+    }
+  }
+  return { tagIds, overflow };
+}
+
+// Re-fits a thread's tags to the issue: repo and closed tags (plus `pin`)
+// always stay, label tags fill the remaining slots by priority, and other
+// tags such as release tags keep whatever room is left. `removedLabels`
+// names labels just taken off the issue so their tags are dropped.
+async function applyThreadLabelTags(forum, thread, issue, repo, { pin = [], unpin = [], removedLabels = [] } = {}) {
+  const { perThread } = getTagLimits();
+  const tagById = new Map(forum.availableTags.map((tag) => [tag.id, tag]));
+  const current = (thread.appliedTags || []).filter((id) => tagById.has(id) && !unpin.includes(id));
+  const pinned = [
+    ...new Set([
+      ...current.filter((id) => isRepoSelectorTag(tagById.get(id)) || isClosedTag(tagById.get(id))),
+      ...pin,
+    ]),
+  ];
+
+  const { tagIds: labelTagIds, overflow } = await resolveLabelTags(
+    forum,
+    issue,
+    repo,
+    Math.max(perThread - pinned.length, 0)
+  );
+  const labelTagNames = new Set(
+    [...getTaggableLabels(issue, repo), ...removedLabels].map((label) => getTagNameForLabel(label).toLowerCase())
+  );
+  const others = current.filter(
+    (id) => !pinned.includes(id) && !labelTagIds.includes(id) && !labelTagNames.has(tagById.get(id).name.toLowerCase())
+  );
+
+  const next = [...pinned, ...labelTagIds, ...others].slice(0, perThread);
+  const applied = thread.appliedTags || [];
+  if (next.length !== applied.length || next.some((id) => !applied.includes(id))) {
+    await setThreadTags(thread, next);
+    logEvent("info", "discord.thread.tags.update", {
+      threadId: thread.id,
+      tagCount: next.length,
+      overflow,
+    });
+  }
+  recordTagUse(forum.id, [...pin, ...labelTagIds]);
+  return overflow;
+}
+
+// Labels on the issue whose tag the thread does not carry
+function getOverflowLabels(forum, thread, issue, repo) {
+  const appliedNames = new Set(
+    forum.availableTags
+      .filter((tag) => (thread.appliedTags || []).includes(tag.id))
+      .map((tag) => tag.name.toLowerCase())
+  );
+  return getTaggableLabels(issue, repo).filter(
+    (label) => !appliedNames.has(getTagNameForLabel(label).toLowerCase())
+  );
 }
 
 async function getOrCreateGitHubLabel(octokit, owner, repo, labelName) {
@@ -447,11 +779,14 @@ async function getOrCreateGitHubLabel(octokit, owner, repo, labelName) {
     return labelName;
   } catch (err) {
     if (err.status === 404) {
-      logEvent("info", "github.label.create", { owner, repo, labelName });
+      const mapping = getLabelMapping(labelName);
+      logEvent("info", "github.label.create", { owner, repo, labelName, mapped: Boolean(mapping) });
       await octokit.request("POST /repos/{owner}/{repo}/labels", {
         owner,
         repo,
         name: labelName,
+        ...(mapping?.color ? { color: mapping.color } : {}),
+        ...(mapping?.description ? { description: mapping.description } : {}),
       });
       return labelName;
     }
@@ -459,25 +794,21 @@ async function getOrCreateGitHubLabel(octokit, owner, repo, labelName) {
   }
 }
 
-async function findThreadsForIssue(
-  client,
-  forumChannelId,
-  issueNumber,
-  owner = null,
-  repo = null,
-  issueTitle = null
-) {
-  const threads = [];
-  const forum = await client.channels.fetch(forumChannelId);
+// Finds the threads synced with an issue: the cached link first, then a pin
+// search through each forum the issue's repository is routed to
+async function findThreadsForIssue(client, issueNumber, owner = null, repo = null, issueTitle = null) {
+  const forumIds = (owner && repo ? getForumsForRepo(owner, repo) : getForumRoutes()).map(
+    (route) => route.forumId
+  );
 
   if (owner && repo) {
     const cached = await getThreadCacheEntry(owner, repo, issueNumber);
     if (cached?.threadId) {
       try {
         const cachedThread = await client.channels.fetch(cached.threadId);
-        if (cachedThread && cachedThread.parentId === forumChannelId) {
+        if (cachedThread && getForumRoute(cachedThread.parentId)) {
           logEvent("info", "discord.thread.cache.hit", {
-            forumId: forumChannelId,
+            forumId: cachedThread.parentId,
             issueNumber,
             owner,
             repo,
@@ -489,7 +820,6 @@ async function findThreadsForIssue(
       } catch (err) {
         await deleteThreadCacheEntry(owner, repo, issueNumber);
         logEvent("warn", "discord.thread.cache.invalid", {
-          forumId: forumChannelId,
           issueNumber,
           owner,
           repo,
@@ -500,6 +830,17 @@ async function findThreadsForIssue(
     }
   }
 
+  for (const forumChannelId of forumIds) {
+    const threads = await searchForumForIssue(client, forumChannelId, issueNumber, owner, repo, issueTitle);
+    if (threads.length > 0) return threads;
+  }
+  return [];
+}
+
+async function searchForumForIssue(client, forumChannelId, issueNumber, owner, repo, issueTitle) {
+  const threads = [];
+  const forum = await client.channels.fetch(forumChannelId);
+
   logEvent("info", "discord.thread.search.start", {
     forumId: forumChannelId,
     issueNumber,
@@ -705,10 +1046,14 @@ async function findThreadsForIssue(
 }
 
 module.exports = {
-  SYNC_LABEL,
-  REPO_TAG_EMOJI,
-  CLOSED_TAG_NAME,
-  CLOSED_TAG_EMOJI,
+  getSyncLabel,
+  getRepoTagEmoji,
+  getClosedTagName,
+  getClosedTagEmoji,
+  getTagLimits,
+  getTagNameForLabel,
+  getLabelForTagName,
+  getLabelsForTagName,
   logEvent,
   formatError,
   getDefaultRepo,
@@ -719,22 +1064,52 @@ module.exports = {
   isForumThread,
   isRepoSelectorTag,
   isClosedTag,
+  markReleaseTag,
+  isReleaseTag,
   isClosedTagName,
   processMessageContent,
   getSyncedIssueInfo,
   getSyncedIssueNumbers,
   hasSyncLabel,
   isSyncLabel,
+  BRIDGE_VERSION,
+  parseBridgeMarker,
+  setBridgeMarker,
   formatDiscordAuthorComment,
+  splitDiscordAuthorComment,
+  setDiscordReactionCount,
+  formatSyncLine,
+  formatUnsyncedLine,
   createSyncEmbed,
+  fitEmbedDescription,
+  createSyncStatusFields,
+  getGitHubReactionContent,
+  updateSyncEmbed,
+  findSyncMessage,
+  markThreadUnsynced,
   createCommentEmbed,
   processGitHubIssueRefs,
   sleep,
   findThreadsForIssue,
   getOrCreateForumTag,
   getOrCreateClosedForumTag,
+  resolveLabelTags,
+  applyThreadLabelTags,
+  getOverflowLabels,
   getOrCreateGitHubLabel,
   getThreadCacheEntry,
   setThreadCacheEntry,
   deleteThreadCacheEntry,
+  getMessageLink,
+  setMessageLink,
+  deleteMessageLink,
+  getCommentMessageLinks,
+  getDeletedMessagePolicy,
+  getThreadLifecyclePolicy,
+  getThreadCacheEntriesByThread,
+  getCommentEmbedLinks,
+  addCommentEmbedLink,
+  deleteCommentEmbedLinks,
+  markIssueSynced,
+  sendThreadNotice,
 };
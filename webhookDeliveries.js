@@ -0,0 +1,113 @@
+const { getStore } = require("./store.js");
+const { enqueueJob } = require("./jobQueue.js");
+const { logEvent } = require("./logging.js");
+
+// GitHub redelivers a webhook when we answer slowly, with the same
+// X-GitHub-Delivery ID. Every delivery is stored with its payload so
+// redeliveries of processed deliveries can be dropped and past deliveries
+// re-run after a fix.
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+function getDeliveryJobType(eventName) {
+  return `github.${eventName}`;
+}
+
+// Jobs touching the same issue or pull request run in delivery order
+function getWebhookOrderingKey(eventName, payload) {
+  const repo = payload.repository?.full_name || "unknown";
+  const number = payload.issue?.number ?? payload.pull_request?.number;
+  if (number) return `github:${repo}#${number}`.toLowerCase();
+  return `github:${repo}:${eventName.split(".")[0]}`.toLowerCase();
+}
+
+function queueDelivery(delivery, replay = false) {
+  const jobId = enqueueJob(
+    getDeliveryJobType(delivery.event),
+    getWebhookOrderingKey(delivery.event, delivery.payload),
+    {
+      deliveryId: delivery.deliveryId,
+      installationId: delivery.installationId,
+      payload: delivery.payload,
+      ...(replay ? { replay: true } : {}),
+    }
+  );
+  getStore().setDeliveryJob(delivery.deliveryId, jobId);
+  return jobId;
+}
+
+function getDeliveryJob(store, deliveryId) {
+  const jobId = store.getDelivery(deliveryId)?.jobId;
+  return jobId ? store.getJob(jobId) : null;
+}
+
+function isDeliveryInFlight(store, deliveryId) {
+  const job = getDeliveryJob(store, deliveryId);
+  return Boolean(job) && (job.status === "pending" || job.status === "running");
+}
+
+// A delivery seen before is a duplicate once processed or while its job is
+// still queued; one whose job died is queued again, so "Redeliver" on GitHub
+// retries it
+function isDuplicateDelivery(store, deliveryId) {
+  if (store.hasProcessedDelivery(deliveryId)) return true;
+  const job = getDeliveryJob(store, deliveryId);
+  return Boolean(job) && job.status !== "dead";
+}
+
+// Records the delivery and queues its job together; returns null for a duplicate
+function acceptDelivery(delivery) {
+  const store = getStore();
+  return store.transaction(() => {
+    const recorded = store.recordDelivery(delivery.deliveryId, delivery.event, {
+      installationId: delivery.installationId,
+      payload: delivery.payload,
+    });
+    if (!recorded && isDuplicateDelivery(store, delivery.deliveryId)) return null;
+    return queueDelivery(delivery);
+  });
+}
+
+function markDeliveryProcessed(deliveryId) {
+  if (deliveryId) getStore().markDeliveryProcessed(deliveryId);
+}
+
+// Queues a stored delivery again, unless its last job is still queued or
+// running; returns { jobId } or { error, jobId } with the job already in flight
+function replayDelivery(deliveryId) {
+  const store = getStore();
+  return store.transaction(() => {
+    const delivery = store.getDelivery(deliveryId);
+    if (!delivery?.payload) {
+      logEvent("warn", "github.delivery.replay.missing", { deliveryId });
+      return { error: "missing", jobId: null };
+    }
+    if (isDeliveryInFlight(store, deliveryId)) {
+      logEvent("warn", "github.delivery.replay.in_flight", { deliveryId, jobId: delivery.jobId });
+      return { error: "in_flight", jobId: delivery.jobId };
+    }
+
+    const jobId = queueDelivery(delivery, true);
+    logEvent("info", "github.delivery.replay", { deliveryId, webhookEvent: delivery.event, jobId });
+    return { jobId };
+  });
+}
+
+function listRecentDeliveries(limit = 20) {
+  return getStore().listDeliveries(limit);
+}
+
+function purgeOldDeliveries() {
+  const purged = getStore().purgeDeliveries(Date.now() - DELIVERY_RETENTION_MS);
+  if (purged > 0) {
+    logEvent("info", "github.delivery.purge", { count: purged });
+  }
+}
+
+module.exports = {
+  getDeliveryJobType,
+  acceptDelivery,
+  markDeliveryProcessed,
+  replayDelivery,
+  listRecentDeliveries,
+  purgeOldDeliveries,
+};